@@ -0,0 +1,75 @@
+import { useState } from "react";
+import { useTask } from "../useEngine.js";
+import { pct } from "../format.js";
+
+const RED = "#B84A00";
+const GREEN = "#007A5A";
+
+// Every allocator on the raw and the cleaned matrix: how much cleaning buys each of them out of sample.
+// Picking a row shows that allocator's weights in the charts above.
+export default function AllocatorComparison({ runTask, scenario, q, allocator, onSelect }) {
+  const [open, setOpen] = useState(false);
+  // Every allocator is run regardless of the one selected, so switching doesn't recompute
+  const base = { ...scenario, portfolio: { ...scenario.portfolio, allocator: "optimizer" } };
+  const { result, running, error } = useTask(runTask, "allocators", base, q, null, open);
+  const gain = (r) => (r.raw.outOfSample == null ? null : (r.raw.outOfSample - r.cleaned.outOfSample) / r.raw.outOfSample);
+
+  return (
+    <div className="bg-white rounded-xl p-5 mb-5 border border-slate-200">
+      <div className="flex items-center justify-between">
+        <div className="text-xs font-bold text-slate-500 tracking-wide">"WE DON'T OPTIMISE" — DOES CLEANING STILL MATTER?</div>
+        <button onClick={() => setOpen(o => !o)} aria-expanded={open} className="text-xs font-semibold text-cyan-700 hover:text-cyan-800">
+          {open ? "Hide allocators" : "Compare allocators →"}
+        </button>
+      </div>
+      {open && (
+        <>
+          {error && <div className="text-xs text-red-600 mt-4">{error}</div>}
+          {!result && !error && <div className="text-xs text-slate-400 py-6 text-center">Running every allocator…</div>}
+          {result && (
+            <table className={`w-full text-xs mt-4 transition-opacity ${running ? "opacity-50" : ""}`}>
+              <thead>
+                <tr className="text-slate-400 text-left border-b border-slate-200">
+                  <th className="py-2 font-semibold">Allocator</th>
+                  <th className="py-2 font-semibold text-right" colSpan={2}>Effective positions</th>
+                  <th className="py-2 font-semibold text-right" colSpan={2}>Out-of-sample risk</th>
+                  <th className="py-2 font-semibold text-right">Cleaning cuts risk by</th>
+                </tr>
+                <tr className="text-left border-b border-slate-200">
+                  <th />
+                  <th className="pb-2 font-semibold text-right" style={{ color: RED }}>Standard</th>
+                  <th className="pb-2 font-semibold text-right" style={{ color: GREEN }}>CFM</th>
+                  <th className="pb-2 font-semibold text-right" style={{ color: RED }}>Standard</th>
+                  <th className="pb-2 font-semibold text-right" style={{ color: GREEN }}>CFM</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {result.map(r => (
+                  <tr key={r.key} onClick={() => onSelect(r.key)}
+                    className={`border-b border-slate-100 cursor-pointer hover:bg-slate-50 ${r.key === allocator ? "bg-cyan-50" : ""}`}>
+                    <td className="py-2 font-semibold text-slate-700">
+                      <button aria-pressed={r.key === allocator} className="font-semibold text-left">{r.label}</button>
+                    </td>
+                    <td className="py-2 text-right font-mono text-slate-700">{r.raw.effective.toFixed(0)}</td>
+                    <td className="py-2 text-right font-mono text-slate-700">{r.cleaned.effective.toFixed(0)}</td>
+                    <td className="py-2 text-right font-mono text-slate-700">{pct(r.raw.outOfSample)}</td>
+                    <td className="py-2 text-right font-mono text-slate-700">{pct(r.cleaned.outOfSample)}</td>
+                    <td className="py-2 text-right font-mono font-bold" style={{ color: gain(r) > 0 ? GREEN : RED }}>{pct(gain(r))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-slate-400 mt-3 leading-relaxed">
+            Each allocator is run twice on the same returns, once on the raw matrix and once on the cleaned one. The optimiser
+            keeps the constraints and objective above; risk parity, maximum diversification and hierarchical risk parity are
+            long-only and ignore expected returns. Allocators that lean less on the matrix's fine structure — HRP only uses it
+            through the cluster tree and a few variances — have less noise to lose, so cleaning moves them less.
+            Click a row to show its weights.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useId, useState } from "react";
+import {
+  LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, Legend
+} from "recharts";
+import { useTask } from "../useEngine.js";
+import { DEFAULT_BACKTEST } from "../engine/scenario.js";
+import { Select } from "./Fields.jsx";
+import ChartTable from "./ChartTable.jsx";
+import { patternDefs, patternFill } from "./Patterns.jsx";
+import { pct } from "../format.js";
+
+const RED = "#B84A00";
+const GREEN = "#007A5A";
+const MED = "#64748B";
+
+const fmtNum = (digits) => (v) => (v == null ? "—" : v.toFixed(digits));
+const axis = { tick: { fontSize: 9, fill: MED }, tickLine: false };
+
+// `table` lists the chart's series as [heading, key, format]; its rows are the chart's data, one per rebalance
+function Chart({ title, note, data, table, children }) {
+  const id = useId();
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200">
+      <div id={`${id}-title`} className="text-xs font-bold text-slate-500 tracking-wide">{title}</div>
+      <div className="text-xs text-slate-400 mb-2">{note}</div>
+      <div style={{ height: 180 }} role="img" aria-labelledby={`${id}-title`} aria-describedby={`${id}-table`}>
+        <ResponsiveContainer width="100%" height="100%">{children}</ResponsiveContainer>
+      </div>
+      <ChartTable id={`${id}-table`} caption={note} rows={data}
+        columns={[["Rebalance", r => r.period], ...table.map(([heading, key, format]) => [heading, r => format(r[key])])]} />
+    </div>
+  );
+}
+
+function Summary({ label, stats, color }) {
+  return (
+    <div className="rounded-xl p-4 border" style={{ borderColor: color + "55", backgroundColor: color + "0D" }}>
+      <div className="text-xs font-bold tracking-wide mb-2" style={{ color }}>{label}</div>
+      <div className="grid grid-cols-2 gap-y-1 text-xs">
+        <span className="text-slate-500">Realised risk</span><span className="text-right font-mono font-bold">{pct(stats.realised)}</span>
+        <span className="text-slate-500">Predicted risk</span><span className="text-right font-mono">{pct(stats.predicted)}</span>
+        <span className="text-slate-500">Predicted ÷ realised</span><span className="text-right font-mono">{stats.ratio.toFixed(2)}</span>
+        <span className="text-slate-500">Turnover per rebalance</span><span className="text-right font-mono">{pct(stats.turnover)}</span>
+        <span className="text-slate-500">Weight stability</span><span className="text-right font-mono">{stats.stability == null ? "—" : stats.stability.toFixed(2)}</span>
+      </div>
+    </div>
+  );
+}
+
+// Rolls the estimation window forward through time, re-optimising raw and cleaned portfolios at each rebalance
+export default function Backtest({ runTask, scenario, q }) {
+  const [params, setParams] = useState(DEFAULT_BACKTEST);
+  const { result, progress, running, error } = useTask(runTask, "backtest", scenario, q, params);
+
+  return (
+    <div className="mb-5">
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <Select label="REBALANCE EVERY" value={params.rebalance} onChange={v => setParams(p => ({ ...p, rebalance: Number(v) }))}
+          options={{ 5: "Week (5 days)", 21: "Month (21 days)", 63: "Quarter (63 days)" }} />
+        {scenario.dataId ? (
+          <div className="text-xs text-slate-400 self-end pb-2">Uploaded data: the backtest runs over every day after the first window.</div>
+        ) : (
+          <Select label="REBALANCES" value={params.periods} onChange={v => setParams(p => ({ ...p, periods: Number(v) }))}
+            options={{ 12: "12", 24: "24", 48: "48" }} />
+        )}
+      </div>
+      {error && <div className="text-xs text-red-600 mb-3">{error}</div>}
+      {!result && !error && (
+        <div className="text-xs text-slate-400 py-10 text-center">Rolling forward… {Math.round(progress * 100)}%</div>
+      )}
+      {result && (
+        <div className={`transition-opacity ${running ? "opacity-50" : ""}`}>
+          <div className="text-xs text-slate-400 mb-3">
+            {result.periods.length} rebalances · {result.window}-day estimation window · {result.days} days out of sample
+            {running && ` · updating ${Math.round(progress * 100)}%`}
+          </div>
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <Summary label="STANDARD APPROACH" stats={result.summary.raw} color={RED} />
+            <Summary label="CFM'S APPROACH" stats={result.summary.cleaned} color={GREEN} />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <Chart title="REALISED RISK" note="Volatility over each holding period (dashed: what was predicted)" data={result.periods}
+              table={[["Standard", "rawRealised", pct], ["CFM", "cleanedRealised", pct], ["Standard predicted", "rawPredicted", pct], ["CFM predicted", "cleanedPredicted", pct]]}>
+              <LineChart data={result.periods} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                <XAxis dataKey="period" {...axis} />
+                <YAxis {...axis} tickFormatter={v => pct(v, 0)} />
+                <Tooltip formatter={v => pct(v)} labelFormatter={p => `Rebalance ${p}`} />
+                <Legend wrapperStyle={{ fontSize: 10 }} />
+                <Line dataKey="rawRealised" name="Standard" stroke={RED} dot={false} strokeWidth={2} isAnimationActive={false} />
+                <Line dataKey="cleanedRealised" name="CFM" stroke={GREEN} dot={false} strokeWidth={2} isAnimationActive={false} />
+                <Line dataKey="rawPredicted" name="Standard (predicted)" stroke={RED} strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+                <Line dataKey="cleanedPredicted" name="CFM (predicted)" stroke={GREEN} strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+              </LineChart>
+            </Chart>
+            <Chart title="PREDICTED ÷ REALISED" note="Below 1: the model promised less risk than it delivered" data={result.periods}
+              table={[["Standard", "rawRatio", fmtNum(2)], ["CFM", "cleanedRatio", fmtNum(2)]]}>
+              <LineChart data={result.periods} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                <XAxis dataKey="period" {...axis} />
+                <YAxis {...axis} domain={[0, "auto"]} />
+                <ReferenceLine y={1} stroke={MED} strokeDasharray="3 3" />
+                <Tooltip formatter={v => v.toFixed(2)} labelFormatter={p => `Rebalance ${p}`} />
+                <Line dataKey="rawRatio" name="Standard" stroke={RED} dot={false} strokeWidth={2} isAnimationActive={false} />
+                <Line dataKey="cleanedRatio" name="CFM" stroke={GREEN} dot={false} strokeWidth={2} isAnimationActive={false} />
+              </LineChart>
+            </Chart>
+            <Chart title="TURNOVER" note="Total weight traded at each rebalance (hatched: standard)" data={result.periods.slice(1)}
+              table={[["Standard", "rawTurnover", pct], ["CFM", "cleanedTurnover", pct]]}>
+              <BarChart data={result.periods.slice(1)} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                {patternDefs("turnover", { raw: RED })}
+                <XAxis dataKey="period" {...axis} />
+                <YAxis {...axis} tickFormatter={v => pct(v, 0)} />
+                <Tooltip formatter={v => pct(v)} labelFormatter={p => `Rebalance ${p}`} cursor={{ fill: "#F1F5F9" }} />
+                <Bar dataKey="rawTurnover" name="Standard" fill={patternFill("turnover", "raw")} isAnimationActive={false} />
+                <Bar dataKey="cleanedTurnover" name="CFM" fill={GREEN} fillOpacity={0.85} isAnimationActive={false} />
+              </BarChart>
+            </Chart>
+            <Chart title="WEIGHT STABILITY" note="Similarity of each portfolio to the previous one (1 = unchanged)" data={result.periods.slice(1)}
+              table={[["Standard", "rawStability", fmtNum(3)], ["CFM", "cleanedStability", fmtNum(3)]]}>
+              <LineChart data={result.periods.slice(1)} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+                <XAxis dataKey="period" {...axis} />
+                <YAxis {...axis} domain={[0, 1]} />
+                <Tooltip formatter={v => v.toFixed(3)} labelFormatter={p => `Rebalance ${p}`} />
+                <Line dataKey="rawStability" name="Standard" stroke={RED} dot={false} strokeWidth={2} isAnimationActive={false} />
+                <Line dataKey="cleanedStability" name="CFM" stroke={GREEN} dot={false} strokeWidth={2} isAnimationActive={false} />
+              </LineChart>
+            </Chart>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
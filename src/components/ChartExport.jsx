@@ -0,0 +1,16 @@
+import { downloadSvg, downloadPng } from "../export.js";
+
+// "SVG · PNG" links for the Recharts chart rendered inside targetRef
+export default function ChartExport({ targetRef, name }) {
+  const save = (as) => {
+    const svg = targetRef.current?.querySelector("svg.recharts-surface");
+    if (svg) (as === "svg" ? downloadSvg : downloadPng)(svg, name);
+  };
+  return (
+    <span className="text-xs text-slate-400 print:hidden">
+      <button onClick={() => save("svg")} className="hover:text-cyan-700">SVG</button>
+      {" · "}
+      <button onClick={() => save("png")} className="hover:text-cyan-700">PNG</button>
+    </span>
+  );
+}
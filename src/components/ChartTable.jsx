@@ -0,0 +1,34 @@
+import { useState } from "react";
+
+// The numbers behind a chart as a table: always in the page for screen readers, shown on request for everyone else.
+// `columns` are [heading, row => text] pairs; the first column heads each row. The caption's id is what
+// the chart's aria-describedby points at.
+export default function ChartTable({ id, caption, columns, rows }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="mt-2 print:hidden">
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} className="text-xs font-semibold text-cyan-700 hover:text-cyan-800">
+        {open ? "Hide data table" : "Show data table"}
+      </button>
+      <div className={open ? "max-h-64 overflow-y-auto mt-2" : "sr-only"}>
+        <table className="w-full text-xs">
+          <caption id={id} className="text-left text-slate-500 mb-2">{caption}</caption>
+          <thead>
+            <tr className="text-slate-500 text-left border-b border-slate-200">
+              {columns.map(([heading], j) => <th key={j} scope="col" className={`py-1 font-semibold ${j ? "text-right" : ""}`}>{heading}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={i} className="border-b border-slate-100">
+                {columns.map(([, cell], j) => (j
+                  ? <td key={j} className="py-1 text-right font-mono text-slate-700">{cell(row)}</td>
+                  : <th key={j} scope="row" className="py-1 text-left font-semibold text-slate-700">{cell(row)}</th>))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
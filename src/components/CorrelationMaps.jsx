@@ -0,0 +1,86 @@
+import { useMemo, useState } from "react";
+import { useTask } from "../useEngine.js";
+import Heatmap, { heatColor } from "./Heatmap.jsx";
+import { Select } from "./Fields.jsx";
+
+const subtract = (A, B) => A.map((r, i) => r.map((v, j) => v - B[i][j]));
+
+// Raw, cleaned and reference correlation matrices side by side, plus the difference between any two
+export default function CorrelationMaps({ runTask, scenario, q }) {
+  const [open, setOpen] = useState(false);
+  const [clustered, setClustered] = useState(true);
+  const [diff, setDiff] = useState("raw-cleaned");
+  const [hover, setHover] = useState(null);
+  const { result, running, error } = useTask(runTask, "matrices", scenario, q, null, open);
+
+  const maps = useMemo(() => {
+    if (!result) return null;
+    const named = { raw: result.raw, cleaned: result.cleaned, reference: result.reference };
+    const [a, b] = diff.split("-");
+    const D = named[b] ? subtract(named[a], named[b]) : subtract(result.raw, result.cleaned);
+    const range = Math.max(0.05, ...D.flat().map(Math.abs));
+    return { D, range, order: clustered ? result.order : result.raw.map((_, i) => i) };
+  }, [result, diff, clustered]);
+
+  const refLabel = result?.referenceLabel ?? "Reference";
+  const diffOptions = {
+    "raw-cleaned": "Raw − cleaned (noise removed)",
+    ...(result?.reference && { "raw-reference": `Raw − ${refLabel.toLowerCase()}`, "cleaned-reference": `Cleaned − ${refLabel.toLowerCase()}` }),
+  };
+  const pair = (M) => (hover ? M[hover.i][hover.j].toFixed(2) : "");
+  const tooltip = result && hover && (
+    <div className="absolute left-1 top-1 bg-white/95 border border-slate-200 rounded shadow-sm px-2 py-1 text-xs pointer-events-none">
+      <div className="font-semibold text-slate-700">{result.labels[hover.i]} × {result.labels[hover.j]}</div>
+      <div className="font-mono text-slate-500">
+        raw {pair(result.raw)} · cleaned {pair(result.cleaned)}
+        {result.reference && ` · ${refLabel.toLowerCase()} ${pair(result.reference)}`}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-xl p-5 mb-4 border border-slate-200">
+      <div className="flex items-center justify-between">
+        <div className="text-xs font-bold text-slate-500 tracking-wide">THE MATRICES THEMSELVES</div>
+        <button onClick={() => setOpen(o => !o)} aria-expanded={open} className="text-xs font-semibold text-cyan-700 hover:text-cyan-800">
+          {open ? "Hide matrices" : "Show the matrices →"}
+        </button>
+      </div>
+      {open && (
+        <>
+          <div className="grid grid-cols-2 gap-3 mt-4 mb-4">
+            <Select label="ASSET ORDER" value={clustered ? "clustered" : "original"} onChange={v => setClustered(v === "clustered")}
+              options={{ clustered: "Clustered (hierarchical, on the cleaned matrix)", original: "Original" }} />
+            <Select label="DIFFERENCE MAP" value={diffOptions[diff] ? diff : "raw-cleaned"} onChange={setDiff} options={diffOptions} />
+          </div>
+          {error && <div className="text-xs text-red-600">{error}</div>}
+          {!result && !error && <div className="text-xs text-slate-400 py-6 text-center">Building the matrices…</div>}
+          {maps && (
+            <div className={`grid grid-cols-2 gap-4 justify-items-center transition-opacity ${running ? "opacity-50" : ""}`}>
+              <Heatmap title="RAW (WHAT YOUR DATA SAYS)" matrix={result.raw} order={maps.order} hover={hover} onHover={setHover}>{tooltip}</Heatmap>
+              <Heatmap title="CLEANED" matrix={result.cleaned} order={maps.order} hover={hover} onHover={setHover}>{tooltip}</Heatmap>
+              {result.reference && (
+                <Heatmap title={refLabel.toUpperCase()} matrix={result.reference} order={maps.order} hover={hover} onHover={setHover}>{tooltip}</Heatmap>
+              )}
+              <Heatmap title={`DIFFERENCE · ${(diffOptions[diff] ?? diffOptions["raw-cleaned"]).toUpperCase()}`} matrix={maps.D} order={maps.order}
+                range={maps.range} hover={hover} onHover={setHover}>{tooltip}</Heatmap>
+            </div>
+          )}
+          {maps && (
+            <div className="flex items-center gap-2 mt-4 text-xs text-slate-400">
+              <span>−1</span>
+              <div className="h-2 w-40 rounded" style={{ background: `linear-gradient(to right, ${heatColor(-1)}, ${heatColor(0)}, ${heatColor(1)})` }} />
+              <span>+1</span>
+              <span className="ml-3">Difference map scaled to ±{maps.range.toFixed(2)}</span>
+            </div>
+          )}
+          <p className="text-xs text-slate-400 mt-3 leading-relaxed">
+            Each cell is the correlation between one pair of assets. Clustering puts assets that move together next to each
+            other, so genuine blocks of structure show up as squares along the diagonal. The raw matrix speckles those blocks with
+            pairs that only look related in this sample; cleaning removes the speckle and keeps the blocks.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
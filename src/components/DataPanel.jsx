@@ -0,0 +1,120 @@
+import { useMemo, useState } from "react";
+import { parseCsv, detectKind, toReturns, prepareDataset } from "../engine/data.js";
+import { Select } from "./Fields.jsx";
+
+// Upload panel: a CSV of daily prices or returns replaces the simulated market in every step
+export default function DataPanel({ dataset, onDataset }) {
+  const [open, setOpen] = useState(false);
+  const [fileName, setFileName] = useState(null);
+  const [parsed, setParsed] = useState(null);
+  const [kind, setKind] = useState("auto");
+  const [missing, setMissing] = useState("pairwise");
+  const [range, setRange] = useState([0, 0]);
+  const [error, setError] = useState(null);
+
+  const returns = useMemo(() => {
+    if (!parsed) return null;
+    return toReturns(parsed, kind === "auto" ? detectKind(parsed.values) : kind);
+  }, [parsed, kind]);
+
+  const readFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const csv = parseCsv(reader.result);
+        setParsed(csv); setFileName(file.name); setError(null);
+        const T = detectKind(csv.values) === "prices" ? csv.dates.length - 1 : csv.dates.length;
+        setRange([0, T - 1]);
+      } catch (err) {
+        setParsed(null); setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const apply = () => {
+    try {
+      const last = returns.dates.length - 1;
+      onDataset(prepareDataset(returns, { missing, start: Math.min(range[0], last), end: Math.min(range[1], last) }));
+      setError(null); setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const last = returns ? returns.dates.length - 1 : 0;
+  const [start, end] = [Math.min(range[0], last), Math.min(range[1], last)];
+  const tooShort = returns && end - start + 1 <= returns.tickers.length;
+
+  return (
+    <div className="bg-slate-50 border border-slate-200 rounded-xl mb-6">
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} className="w-full flex items-center justify-between px-4 py-3 text-left">
+        <span className="text-xs text-slate-500">
+          {dataset
+            ? <>Running on <span className="font-semibold text-slate-700">{fileName}</span> · {dataset.N} assets · {dataset.T} days</>
+            : <>Running on simulated data · <span className="font-semibold text-cyan-700">upload your own returns</span></>}
+        </span>
+        <span className="text-xs text-slate-400">{open ? "▲" : "▼"}</span>
+      </button>
+      {open && (
+        <div className="px-4 pb-4 border-t border-slate-200 pt-4">
+          <label
+            onDragOver={e => e.preventDefault()}
+            onDrop={e => { e.preventDefault(); readFile(e.dataTransfer.files[0]); }}
+            className="block border-2 border-dashed border-slate-300 rounded-lg p-5 text-center text-sm text-slate-500 cursor-pointer hover:border-cyan-400 bg-white"
+          >
+            <input type="file" accept=".csv,.tsv,.txt" className="hidden" onChange={e => readFile(e.target.files[0])} />
+            {fileName ? <span className="font-semibold text-slate-700">{fileName}</span> : "Drop a CSV here or click to choose one"}
+            <div className="text-xs text-slate-400 mt-1">Dates as rows, tickers as columns, daily prices or returns</div>
+          </label>
+          {error && <div className="text-xs text-red-600 mt-3">{error}</div>}
+          {returns && (
+            <>
+              <div className="grid grid-cols-2 gap-3 mt-4">
+                <Select label="VALUES ARE" value={kind} onChange={setKind}
+                  options={{ auto: `Detect (${detectKind(parsed.values)})`, prices: "Prices", returns: "Returns" }} />
+                <Select label="MISSING VALUES" value={missing} onChange={setMissing}
+                  options={{ pairwise: "Pairwise (use every shared date)", listwise: "Listwise (drop incomplete dates)" }} />
+              </div>
+              <div className="mt-4 text-xs text-slate-500">
+                <div className="font-semibold tracking-wide mb-1">ESTIMATION WINDOW</div>
+                <div className="flex items-center gap-3">
+                  <span className="font-mono w-24">{returns.dates[start]}</span>
+                  <input type="range" min={0} max={last} value={start} className="flex-1"
+                    onChange={e => setRange([Math.min(+e.target.value, end - 2), end])} />
+                  <input type="range" min={0} max={last} value={end} className="flex-1"
+                    onChange={e => setRange([start, Math.max(+e.target.value, start + 2)])} />
+                  <span className="font-mono w-24 text-right">{returns.dates[end]}</span>
+                </div>
+                <div className="mt-1 text-slate-400">
+                  {end - start + 1} days × {returns.tickers.length} tickers · q ≈ {(returns.tickers.length / (end - start + 1)).toFixed(2)}
+                  {end < last && ` · ${last - end} later days kept as the out-of-sample period`}
+                </div>
+                {tooShort && (
+                  <div className="mt-1 text-red-600">
+                    The window needs more days than tickers: at q ≥ 1 the correlation matrix is singular. Widen it or use fewer tickers.
+                  </div>
+                )}
+              </div>
+              <div className="flex gap-2 mt-4">
+                <button onClick={apply} disabled={tooShort}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-cyan-500 text-white hover:bg-cyan-600 disabled:opacity-40 disabled:cursor-not-allowed">
+                  Run the explorer on this data
+                </button>
+                {dataset && (
+                  <button onClick={() => { onDataset(null); setOpen(false); }} className="px-4 py-2 rounded-lg text-sm font-semibold bg-slate-100 text-slate-600 hover:bg-slate-200">
+                    Back to simulated data
+                  </button>
+                )}
+              </div>
+              {dataset?.dropped.length > 0 && (
+                <div className="text-xs text-slate-400 mt-2">Dropped for lack of data: {dataset.dropped.join(", ")}</div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { HORIZONS, RISK_MEASURES, DEFAULT_RISK_VIEW, moneyAtRisk } from "../engine/risk.js";
+import { Select, NumberField } from "./Fields.jsx";
+
+const RED = "#B84A00";
+const GREEN = "#007A5A";
+
+const CURRENCIES = { USD: "US dollar", EUR: "Euro", GBP: "Pound sterling", JPY: "Japanese yen", CHF: "Swiss franc" };
+const LOCALES = { "en-US": "English (US)", "en-GB": "English (UK)", "de-DE": "Deutsch", "fr-FR": "Français", "ja-JP": "日本語" };
+const CONFIDENCE = { 0.95: "95%", 0.975: "97.5%", 0.99: "99%", 0.995: "99.5%" };
+
+// Amounts in the view's currency and locale, compact: $1.2M, 1,2 Mio. €
+export function moneyFormat(view) {
+  const money = new Intl.NumberFormat(view.locale, { style: "currency", currency: view.currency, notation: "compact", maximumSignificantDigits: 3 });
+  return (v) => (v == null ? "—" : money.format(v));
+}
+
+// A volatility as money at risk under the view. Annualised (covariance) volatilities are used as
+// they are; correlation-scale ones are scaled by the view's asset volatility.
+export const viewLoss = (view, annualised) => (vol) => moneyAtRisk(vol, annualised ? { ...view, assetVol: 1 } : view);
+
+// The Step 5 volatilities as money: VaR or expected shortfall on the client's AUM, currency and horizon.
+// The view is the explorer's, so the Monte Carlo panel prices its figures the same way.
+export default function DollarImpact({ volRaw, volClean, reality, annualised = false, view = DEFAULT_RISK_VIEW, onView }) {
+  const set = (patch) => onView(v => ({ ...v, ...patch }));
+  const fmt = moneyFormat(view);
+  const percent = new Intl.NumberFormat(view.locale, { style: "percent", maximumFractionDigits: 1 });
+  const loss = viewLoss(view, annualised);
+  const { period } = HORIZONS[view.horizon];
+  const tail = percent.format(1 - view.confidence);
+  const rawPredicted = loss(volRaw), rawReal = loss(reality.raw);
+  const rows = [
+    ["Standard", RED, rawPredicted, rawReal],
+    ["CFM", GREEN, loss(volClean), loss(reality.clean)],
+  ];
+
+  return (
+    <div className="bg-slate-100 rounded-xl p-5 mb-5 border border-slate-200">
+      <div className="text-xs font-bold text-slate-500 tracking-wide mb-3">
+        WHAT THIS MEANS FOR A {fmt(view.aum * 1e6).toUpperCase()} PORTFOLIO
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-4 print:hidden">
+        <NumberField label="AUM (MILLIONS)" value={view.aum} min={1} max={1e7} onChange={aum => set({ aum })} />
+        <Select label="CURRENCY" value={view.currency} onChange={currency => set({ currency })} options={CURRENCIES} />
+        <Select label="NUMBER FORMAT" value={view.locale} onChange={locale => set({ locale })} options={LOCALES} />
+        <Select label="HORIZON" value={view.horizon} onChange={horizon => set({ horizon })}
+          options={Object.fromEntries(Object.entries(HORIZONS).map(([k, h]) => [k, h.label]))} />
+        <Select label="MEASURE" value={view.measure} onChange={measure => set({ measure })} options={RISK_MEASURES} />
+        <Select label="CONFIDENCE" value={view.confidence} onChange={v => set({ confidence: Number(v) })} options={CONFIDENCE} />
+        {!annualised && (
+          <NumberField label="ASSET VOLATILITY (%/YR)" value={Math.round(view.assetVol * 100)} min={1} max={100}
+            onChange={v => set({ assetVol: v / 100 })} hint="Typical single-asset vol" />
+        )}
+      </div>
+      <table className="w-full text-xs mb-4">
+        <thead>
+          <tr className="text-slate-400 text-left border-b border-slate-200">
+            <th className="py-2 font-semibold">{HORIZONS[view.horizon].label} {RISK_MEASURES[view.measure]}, {CONFIDENCE[view.confidence]}</th>
+            <th className="py-2 font-semibold text-right">Model says</th>
+            <th className="py-2 font-semibold text-right" title={reality.label}>Actual</th>
+            <th className="py-2 font-semibold text-right">Unexpected</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, color, predicted, real]) => (
+            <tr key={label} className="border-b border-slate-100">
+              <td className="py-2 font-semibold" style={{ color }}>{label}</td>
+              <td className="py-2 text-right font-mono text-slate-700">{fmt(predicted)}</td>
+              <td className="py-2 text-right font-mono text-slate-700">{fmt(real)}</td>
+              <td className="py-2 text-right font-mono font-bold" style={{ color }}>{real == null ? "—" : fmt(real - predicted)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-sm text-slate-700 leading-relaxed">
+        {view.measure === "var"
+          ? <>The standard approach tells you that in all but the worst {tail} of {period}s you won't lose more than </>
+          : <>The standard approach tells you that in the worst {tail} of {period}s you'll lose on average </>}
+        <span className="font-bold">{fmt(rawPredicted)}</span>.
+        The real figure is{" "}
+        <span className="font-bold" style={{ color: RED }}>{fmt(rawReal)}</span> —
+        {" "}that's <span className="font-bold">{rawReal == null ? "—" : fmt(rawReal - rawPredicted)} you didn't know was at risk</span>.
+        CFM's approach doesn't eliminate risk — it eliminates the gap between what you expect and what happens.
+      </p>
+      <p className="text-xs text-slate-400 mt-2 leading-relaxed">
+        {annualised
+          ? "The covariance model's volatilities are already annual, so they're scaled "
+          : "Volatilities above are in units of one asset's volatility, so they're scaled by the asset volatility you set, then "}
+        by √time to the horizon ({HORIZONS[view.horizon].perYear} {period}s a year). Losses assume Gaussian returns, which
+        understates the tails of real markets.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, Cell } from "recharts";
+import { useTask } from "../useEngine.js";
+import ChartTable from "./ChartTable.jsx";
+import { patternDefs, patternFill } from "./Patterns.jsx";
+import { pct } from "../format.js";
+
+const GREEN = "#007A5A";
+const RED = "#B84A00";
+const MED = "#64748B";
+
+// The selection is either { rank } (1 = largest eigenvalue) or a histogram bin { lo, hi },
+// in which case the largest eigenvalue inside the bin is shown
+function selectedMode(modes, selection) {
+  if (!selection) return null;
+  if (selection.rank) return modes[selection.rank - 1] ?? null;
+  return modes.find(m => m.eigenvalue >= selection.lo && m.eigenvalue < selection.hi) ?? null;
+}
+
+// Click an eigenvalue to see which assets its eigenvector loads on
+export default function EigenInspector({ runTask, scenario, q, selection, onSelect }) {
+  const { result, error } = useTask(runTask, "eigenvectors", scenario, q, null);
+  if (error) return <div className="text-xs text-red-600 mb-4">{error}</div>;
+  if (!result) return null;
+
+  const { modes, lp, N, labels } = result;
+  const max = Math.max(modes[0].eigenvalue, lp) * 1.05;
+  const mode = selectedMode(modes, selection);
+  const isSignal = mode && mode.eigenvalue > lp;
+  const components = mode && mode.vector.map((v, i) => ({ asset: labels[i], v }));
+  const yMax = mode && Math.ceil(Math.max(...mode.vector.map(Math.abs)) * 10) / 10;
+
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200 mb-4">
+      <div className="text-xs font-bold text-slate-500 tracking-wide mb-2">EIGENVALUES · CLICK ONE, OR A BAR ABOVE, TO INSPECT ITS EIGENVECTOR</div>
+      <div className="relative h-6 bg-slate-50 rounded mb-3">
+        <div className="absolute top-0 bottom-0 border-l-2 border-dashed" style={{ left: `${(lp / max) * 100}%`, borderColor: GREEN }} />
+        {modes.map(m => (
+          <button key={m.rank} onClick={() => onSelect({ rank: m.rank })} title={`#${m.rank}: λ = ${m.eigenvalue.toFixed(3)}`}
+            aria-label={`Eigenvalue ${m.rank}, ${m.eigenvalue.toFixed(2)}, ${m.eigenvalue > lp ? "above" : "inside"} the noise band`} aria-pressed={m === mode}
+            className="absolute top-1 bottom-1 -ml-px rounded-sm hover:opacity-100"
+            style={{
+              left: `${(m.eigenvalue / max) * 100}%`, width: m === mode ? 4 : 2,
+              backgroundColor: m.eigenvalue > lp ? GREEN : "#94A3B8", opacity: m === mode ? 1 : 0.6,
+            }} />
+        ))}
+      </div>
+      {!mode && selection && <div className="text-xs text-slate-400">No eigenvalue falls in that bar.</div>}
+      {mode && (
+        <>
+          <div className="grid grid-cols-4 gap-3 mb-3 text-center">
+            <div className="bg-slate-50 rounded-lg p-2">
+              <div className="text-lg font-bold" style={{ color: isSignal ? GREEN : MED }}>{mode.eigenvalue.toFixed(2)}</div>
+              <div className="text-xs text-slate-500">λ #{mode.rank} of {N} · {isSignal ? "above" : "inside"} the noise band</div>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <div className="text-lg font-bold text-slate-700">{mode.ipr.toFixed(3)}</div>
+              <div className="text-xs text-slate-500">Inverse participation ratio (random ≈ {(3 / N).toFixed(3)})</div>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <div className="text-lg font-bold text-slate-700">{(1 / mode.ipr).toFixed(0)}</div>
+              <div className="text-xs text-slate-500">Assets effectively involved</div>
+            </div>
+            <div className="bg-slate-50 rounded-lg p-2">
+              <div className="text-lg font-bold" style={{ color: mode.overlap == null ? MED : mode.overlap > 0.5 ? GREEN : RED }}>
+                {pct(mode.overlap, 0)}
+              </div>
+              <div className="text-xs text-slate-500">Overlap with the true factors</div>
+            </div>
+          </div>
+          <div style={{ height: 160 }} role="img" aria-label={`Components of eigenvector ${mode.rank}`} aria-describedby="eigenvector-table">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={components} margin={{ top: 5, right: 5, bottom: 5, left: 5 }}>
+                {patternDefs("eigenvector", { negative: RED })}
+                <XAxis dataKey="asset" tick={N <= 40 ? { fontSize: 8, fill: MED } : false} interval={0} />
+                <YAxis tick={{ fontSize: 8, fill: MED }} domain={[-yMax, yMax]} />
+                <ReferenceLine y={0} stroke="#CBD5E1" />
+                <Tooltip formatter={(v) => [v.toFixed(3), "Component"]} cursor={{ fill: "#F1F5F9" }} />
+                <Bar dataKey="v" isAnimationActive={false}>
+                  {components.map((d, i) => <Cell key={i} fill={d.v < 0 ? patternFill("eigenvector", "negative") : isSignal ? GREEN : MED} fillOpacity={0.85} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <ChartTable id="eigenvector-table" rows={components} columns={[["Asset", d => d.asset], ["Component", d => d.v.toFixed(3)]]}
+            caption={`Each asset's component in eigenvector ${mode.rank} (λ = ${mode.eigenvalue.toFixed(2)}, ${isSignal ? "above" : "inside"} the noise band). Hatched bars are negative.`} />
+          {mode.factorOverlaps && (
+            <div className="text-xs text-slate-500 mt-2">
+              Squared overlap with each true factor:{" "}
+              {mode.factorOverlaps.map((o, k) => <span key={k} className="font-mono mr-3">F{k + 1} {pct(o, 0)}</span>)}
+            </div>
+          )}
+          <p className="text-xs text-slate-400 mt-2 leading-relaxed">
+            {isSignal
+              ? "A genuine mode: it spreads across many assets in a coherent pattern — the market moving together, or a block of related assets — and in a simulation it lines up with the factors that actually drive the market."
+              : "A bulk mode: its components are scattered with no pattern, its participation ratio is what a random vector would give, and it points in no meaningful direction. Drawing a fresh sample would give a completely different vector."}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
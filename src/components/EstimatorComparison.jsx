@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { useTask } from "../useEngine.js";
+import { DEFAULT_COMPARE } from "../engine/scenario.js";
+import { DEFAULT_PORTFOLIO, OBJECTIVES } from "../engine/optimize.js";
+import { ALLOCATORS } from "../engine/allocators.js";
+import { Select } from "./Fields.jsx";
+import { pct } from "../format.js";
+
+// How the portfolios are built, as the footnote names it
+function construction({ allocator = "optimizer", objective = "min-variance" }) {
+  return allocator === "optimizer" ? `${OBJECTIVES[objective]} optimiser` : ALLOCATORS[allocator];
+}
+
+// Every common "fix" for estimation noise, fed through the same portfolio construction on the same returns
+export default function EstimatorComparison({ runTask, scenario, q }) {
+  const [open, setOpen] = useState(false);
+  const [params, setParams] = useState(DEFAULT_COMPARE);
+  const { result, running, error } = useTask(runTask, "compare", scenario, q, params, open);
+  const best = (field) => (result ? Math.min(...result.filter(r => r[field] != null).map(r => r[field])) : null);
+  const bestOOS = best("outOfSample"), bestDist = best("distance");
+
+  return (
+    <div className="bg-white rounded-xl p-5 mb-5 border border-slate-200">
+      <div className="flex items-center justify-between">
+        <div className="text-xs font-bold text-slate-500 tracking-wide">"WE USE SHRINKAGE" — PUT IT TO THE TEST</div>
+        <button onClick={() => setOpen(o => !o)} aria-expanded={open} className="text-xs font-semibold text-cyan-700 hover:text-cyan-800">
+          {open ? "Hide comparison" : "Compare estimators →"}
+        </button>
+      </div>
+      {open && (
+        <>
+          <div className="grid grid-cols-2 gap-3 mt-4 mb-4">
+            <Select label="EWMA HALF-LIFE" value={params.halfLife} onChange={v => setParams(p => ({ ...p, halfLife: Number(v) }))}
+              options={{ 0.125: "T / 8", 0.25: "T / 4", 0.5: "T / 2" }} />
+            <Select label="SHORT LOOKBACK" value={params.lookback} onChange={v => setParams(p => ({ ...p, lookback: Number(v) }))}
+              options={{ 0.25: "Last T / 4 days", 0.5: "Last T / 2 days", 0.75: "Last 3T / 4 days" }} />
+          </div>
+          {error && <div className="text-xs text-red-600">{error}</div>}
+          {!result && !error && <div className="text-xs text-slate-400 py-6 text-center">Running every estimator…</div>}
+          {result && (
+            <table className={`w-full text-xs transition-opacity ${running ? "opacity-50" : ""}`}>
+              <thead>
+                <tr className="text-slate-400 text-left border-b border-slate-200">
+                  <th className="py-2 font-semibold">Estimator</th>
+                  <th className="py-2 font-semibold text-right">In-sample risk</th>
+                  <th className="py-2 font-semibold text-right">Out-of-sample risk</th>
+                  <th className="py-2 font-semibold text-right">Effective positions</th>
+                  <th className="py-2 font-semibold text-right">Distance to truth</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.map(r => (
+                  <tr key={r.key} className={`border-b border-slate-100 ${r.key === "cleaned" ? "bg-green-50" : ""}`}>
+                    <td className="py-2">
+                      <div className="font-semibold text-slate-700">{r.label}</div>
+                      <div className="text-slate-400">{r.detail} · {r.estimator}</div>
+                    </td>
+                    <td className="py-2 text-right font-mono text-slate-500">{pct(r.inSample)}</td>
+                    <td className={`py-2 text-right font-mono ${r.outOfSample === bestOOS ? "font-bold text-green-700" : "text-slate-700"}`}>{pct(r.outOfSample)}</td>
+                    <td className="py-2 text-right font-mono text-slate-700">{r.effective.toFixed(0)}</td>
+                    <td className={`py-2 text-right font-mono ${r.distance === bestDist ? "font-bold text-green-700" : "text-slate-700"}`}>{r.distance == null ? "—" : r.distance.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-slate-400 mt-3 leading-relaxed">
+            Each estimate feeds the same portfolio construction ({construction(scenario.portfolio ?? DEFAULT_PORTFOLIO)}, with the
+            explorer's constraints).
+            Ledoit–Wolf, EWMA and the short lookback are built on Pearson correlations; the other rows start from the selected
+            estimator, as each row says. Out-of-sample risk is the portfolio's volatility over the
+            following period; distance to truth is the Frobenius norm to the model's true correlation matrix (simulations only).
+            Lowest in each column in bold.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
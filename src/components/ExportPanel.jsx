@@ -0,0 +1,59 @@
+import { useState } from "react";
+import { download, toCsv, matrixCsv } from "../export.js";
+
+const FILES = {
+  raw: { label: "Raw matrix", csv: (r) => matrixCsv(r.raw, r.labels), json: (r) => ({ labels: r.labels, matrix: r.raw }) },
+  cleaned: { label: "Cleaned matrix", csv: (r) => matrixCsv(r.cleaned, r.labels), json: (r) => ({ labels: r.labels, matrix: r.cleaned }) },
+  eigenvalues: {
+    label: "Eigenvalues",
+    csv: (r) => toCsv([["rank", "eigenvalue", "signal"], ...r.eigenvalues.map((e, k) => [k + 1, e, e > r.lp ? 1 : 0])]),
+    json: (r) => ({ lambdaPlus: r.lp, signalCount: r.signalCount, eigenvalues: r.eigenvalues }),
+  },
+  weights: {
+    label: "Weights",
+    csv: (r) => toCsv([["asset", "raw", "cleaned"], ...r.weights.map(w => [w.asset, w.raw, w.cleaned])]),
+    json: (r) => r.weights,
+  },
+  risk: {
+    label: "Risk",
+    csv: (r) => toCsv([
+      ["portfolio", "predicted", "true", "out_of_sample", "effective_positions"],
+      ...Object.entries(r.risk).map(([k, v]) => [k, v.predicted, v.true, v.outOfSample, v.effectivePositions]),
+    ]),
+    json: (r) => r.risk,
+  },
+};
+
+// Downloads of the numbers behind the current view, computed fresh in the worker
+export default function ExportPanel({ runTask, scenario, q, onPrint }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const stem = `cfm-q${q.toFixed(2)}`;
+
+  const save = (key, format) => {
+    setBusy(true);
+    setError(null);
+    runTask("export", scenario, q, null).promise.then(r => {
+      if (key === "all") download(`${stem}.json`, JSON.stringify(r, null, 2), "application/json");
+      else if (format === "csv") download(`${stem}-${key}.csv`, FILES[key].csv(r), "text/csv");
+      else download(`${stem}-${key}.json`, JSON.stringify(FILES[key].json(r), null, 2), "application/json");
+    }, err => setError(err.message)).finally(() => setBusy(false));
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-slate-400 mt-6 print:hidden ${busy ? "opacity-50" : ""}`}>
+      <span className="font-semibold text-slate-500 tracking-wide">EXPORT</span>
+      {Object.entries(FILES).map(([key, { label }]) => (
+        <span key={key}>
+          {label}{" "}
+          <button onClick={() => save(key, "csv")} className="hover:text-cyan-700">CSV</button>
+          {" · "}
+          <button onClick={() => save(key, "json")} className="hover:text-cyan-700">JSON</button>
+        </span>
+      ))}
+      <button onClick={() => save("all")} className="hover:text-cyan-700">Everything (JSON)</button>
+      <button onClick={onPrint} className="font-semibold text-cyan-700 hover:text-cyan-800">Printable report</button>
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+// Small labelled form controls shared by the settings panels
+
+export function Select({ label, value, onChange, options }) {
+  return (
+    <label className="flex flex-col gap-1 text-xs text-slate-500">
+      <span className="font-semibold tracking-wide">{label}</span>
+      <select value={value} onChange={e => onChange(e.target.value)} className="border border-slate-200 rounded-md px-2 py-1.5 text-sm text-slate-700 bg-white">
+        {Object.entries(options).map(([k, v]) => <option key={k} value={k}>{v}</option>)}
+      </select>
+    </label>
+  );
+}
+
+// Commits on blur or Enter, clamped to [min, max] (and rounded when `int`), so typing "1" on the way to "120" doesn't recompute
+export function NumberField({ label, value, onChange, min, max, step = 1, int = false, hint }) {
+  const commit = (e) => {
+    const v = Number(e.target.value);
+    if (Number.isNaN(v) || e.target.value === "") { e.target.value = value; return; }
+    const clamped = Math.min(max, Math.max(min, int ? Math.round(v) : v));
+    e.target.value = clamped;
+    if (clamped !== value) onChange(clamped);
+  };
+  return (
+    <label className="flex flex-col gap-1 text-xs text-slate-500">
+      <span className="font-semibold tracking-wide">{label}</span>
+      <input
+        key={value}
+        type="number" defaultValue={value} min={min} max={max} step={step}
+        onBlur={commit} onKeyDown={e => { if (e.key === "Enter") commit(e); }}
+        className="border border-slate-200 rounded-md px-2 py-1.5 text-sm text-slate-700 bg-white font-mono"
+      />
+      {hint && <span className="text-slate-400">{hint}</span>}
+    </label>
+  );
+}
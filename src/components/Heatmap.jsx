@@ -0,0 +1,53 @@
+import { useEffect, useRef } from "react";
+
+const NEG = [0, 114, 178];
+const POS = [213, 94, 0];
+
+// Diverging scale: blue for negative, white at zero, vermillion for positive, saturating at ±range.
+// Both ends are Okabe–Ito colours, which stay apart under every common colour-vision deficiency.
+export function heatColor(v, range = 1) {
+  const t = Math.max(-1, Math.min(1, v / range));
+  const [r, g, b] = t < 0 ? NEG : POS;
+  const a = Math.abs(t);
+  return `rgb(${Math.round(255 + (r - 255) * a)},${Math.round(255 + (g - 255) * a)},${Math.round(255 + (b - 255) * a)})`;
+}
+
+// One N×N matrix drawn cell by cell on a canvas, rows and columns in `order`.
+// `hover` is the shared { i, j } pair (original indices) so every map highlights the same cell.
+export default function Heatmap({ title, matrix, order, range = 1, size = 260, hover, onHover, children }) {
+  const canvasRef = useRef(null);
+  const N = order.length, cell = size / N;
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.clearRect(0, 0, size, size);
+    for (let a = 0; a < N; a++) for (let b = 0; b < N; b++) {
+      ctx.fillStyle = heatColor(matrix[order[a]][order[b]], range);
+      ctx.fillRect(b * cell, a * cell, Math.ceil(cell), Math.ceil(cell));
+    }
+    if (hover) {
+      const a = order.indexOf(hover.i), b = order.indexOf(hover.j);
+      ctx.strokeStyle = "#0B1D3A";
+      ctx.lineWidth = 1;
+      ctx.strokeRect(0, a * cell + 0.5, size, cell - 1);
+      ctx.strokeRect(b * cell + 0.5, 0, cell - 1, size);
+    }
+  }, [matrix, order, range, size, hover, N, cell]);
+
+  const onMove = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const a = Math.floor(((e.clientY - box.top) / box.height) * N), b = Math.floor(((e.clientX - box.left) / box.width) * N);
+    if (a >= 0 && a < N && b >= 0 && b < N) onHover({ i: order[a], j: order[b] });
+  };
+
+  return (
+    <div>
+      <div className="text-xs font-bold text-slate-500 tracking-wide mb-1">{title}</div>
+      <div className="relative" style={{ width: size, height: size }}>
+        <canvas ref={canvasRef} width={size} height={size} onMouseMove={onMove} onMouseLeave={() => onHover(null)}
+          className="border border-slate-200 cursor-crosshair" role="img" aria-label={`${title} heatmap, ${N} by ${N} assets. The matrices can be downloaded as CSV from the export panel.`} />
+        {hover && children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState } from "react";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, Legend } from "recharts";
+import { useTask } from "../useEngine.js";
+import { DEFAULT_MONTE_CARLO } from "../engine/scenario.js";
+import { HORIZONS, RISK_MEASURES, DEFAULT_RISK_VIEW } from "../engine/risk.js";
+import { moneyFormat, viewLoss } from "./DollarImpact.jsx";
+import { Select } from "./Fields.jsx";
+import ChartTable from "./ChartTable.jsx";
+import { patternDefs, patternFill } from "./Patterns.jsx";
+import { pct } from "../format.js";
+
+const RED = "#B84A00";
+const GREEN = "#007A5A";
+const MED = "#64748B";
+
+const fmtInt = (v) => v.toFixed(0);
+const axis = { tick: { fontSize: 9, fill: MED }, tickLine: false };
+
+// Shared bins for two samples so their histograms overlay
+function overlay(a, b, bins = 20) {
+  const lo = Math.min(a.values[0], b.values[0]), hi = Math.max(a.values.at(-1), b.values.at(-1));
+  const w = (hi - lo) / bins || 1;
+  const rows = Array.from({ length: bins }, (_, i) => ({ x: lo + (i + 0.5) * w, raw: 0, clean: 0 }));
+  const put = (key, v) => { rows[Math.max(0, Math.min(bins - 1, Math.floor((v - lo) / w)))][key]++; };
+  a.values.forEach(v => put("raw", v));
+  b.values.forEach(v => put("clean", v));
+  return rows;
+}
+
+function Interval({ d, fmt }) {
+  return (
+    <>
+      <div className="font-mono text-slate-700">{fmt(d.mean)} <span className="text-slate-400">± {fmt(d.meanHi - d.mean)}</span></div>
+      <div className="text-slate-400">{fmt(d.lo)} – {fmt(d.hi)}</div>
+    </>
+  );
+}
+
+// `name` keeps the chart's pattern and table ids apart from the other histogram's
+function Histogram({ name, title, caption, data, format, zero }) {
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200">
+      <div id={`${name}-title`} className="text-xs font-bold text-slate-500 tracking-wide mb-2">{title}</div>
+      <div style={{ height: 160 }} role="img" aria-labelledby={`${name}-title`} aria-describedby={`${name}-table`}>
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} barGap={0} barCategoryGap={1} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+            {patternDefs(name, { raw: RED })}
+            <XAxis dataKey="x" {...axis} tickFormatter={format} />
+            <YAxis {...axis} allowDecimals={false} />
+            {zero && <ReferenceLine x={data.reduce((b, r) => (Math.abs(r.x) < Math.abs(b.x) ? r : b)).x} stroke={MED} strokeDasharray="3 3" />}
+            <Tooltip labelFormatter={format} cursor={{ fill: "#F1F5F9" }} />
+            <Legend wrapperStyle={{ fontSize: 10 }} />
+            <Bar dataKey="raw" name="Standard" fill={patternFill(name, "raw")} isAnimationActive={false} />
+            <Bar dataKey="clean" name="CFM" fill={GREEN} fillOpacity={0.85} isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <ChartTable id={`${name}-table`} caption={caption} rows={data}
+        columns={[["Bin centre", r => format(r.x)], ["Standard markets", r => r.raw], ["CFM markets", r => r.clean]]} />
+    </div>
+  );
+}
+
+// The Step 3–5 headline numbers repeated over many seeds, so they come with error bars.
+// Hidden risk is priced like the dollar-impact panel: the reader's AUM, currency, horizon and measure.
+export default function MonteCarlo({ runTask, scenario, q, riskView = DEFAULT_RISK_VIEW }) {
+  const [open, setOpen] = useState(false);
+  const [params, setParams] = useState(DEFAULT_MONTE_CARLO);
+  const { result, progress, running, error } = useTask(runTask, "montecarlo", scenario, q, params, open);
+  const money = moneyFormat(riskView), loss = viewLoss(riskView, scenario.portfolio?.risk === "covariance");
+  const rows = result && [
+    ["Effective positions", result.effectiveRaw, result.effectiveClean, fmtInt],
+    ["Predicted volatility", result.volRaw, result.volClean, pct],
+    ["True volatility", result.volRawTrue, result.volCleanTrue, pct],
+    ["Realised out-of-sample", result.volRawOOS, result.volCleanOOS, pct],
+    ["Surprise (true vs predicted)", result.gapRaw, result.gapClean, pct],
+    [`Hidden ${HORIZONS[riskView.horizon].label.toLowerCase()} ${RISK_MEASURES[riskView.measure].toLowerCase()} on ${money(riskView.aum * 1e6)}`,
+      result.hiddenRaw, result.hiddenClean, v => money(loss(v))],
+  ];
+
+  return (
+    <div className="bg-white rounded-xl p-5 mb-5 border border-slate-200">
+      <div className="flex items-center justify-between">
+        <div className="text-xs font-bold text-slate-500 tracking-wide">ONE LUCKY SEED? RUN IT HUNDREDS OF TIMES</div>
+        <button onClick={() => setOpen(o => !o)} aria-expanded={open} className="text-xs font-semibold text-cyan-700 hover:text-cyan-800">
+          {open ? "Hide Monte Carlo" : "Run Monte Carlo →"}
+        </button>
+      </div>
+      {open && (
+        <>
+          <div className="grid grid-cols-2 gap-3 mt-4 mb-4">
+            <Select label="RUNS" value={params.runs} onChange={v => setParams({ runs: Number(v) })}
+              options={{ 100: "100 markets", 200: "200 markets", 500: "500 markets" }} />
+          </div>
+          {error && <div className="text-xs text-red-600">{error}</div>}
+          {!result && !error && (
+            <div className="text-xs text-slate-400 py-6 text-center">Simulating {params.runs} markets… {Math.round(progress * 100)}%</div>
+          )}
+          {result && (
+            <div className={`transition-opacity ${running ? "opacity-50" : ""}`}>
+              <div className="text-xs text-slate-500 mb-3">
+                Signal count: <span className="font-mono text-slate-700">{result.signalCount.mean.toFixed(2)} ± {(result.signalCount.meanHi - result.signalCount.mean).toFixed(2)}</span>
+                {" "}(range {result.signalCount.lo.toFixed(0)}–{result.signalCount.hi.toFixed(0)}) over {result.runs} independent markets at q = {result.q.toFixed(2)}
+                {running && ` · updating ${Math.round(progress * 100)}%`}
+              </div>
+              <table className="w-full text-xs mb-4">
+                <thead>
+                  <tr className="text-slate-400 text-left border-b border-slate-200">
+                    <th className="py-2 font-semibold">Mean ± 95% CI, then 95% of single draws</th>
+                    <th className="py-2 font-semibold text-right" style={{ color: RED }}>Standard</th>
+                    <th className="py-2 font-semibold text-right" style={{ color: GREEN }}>CFM</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(([label, raw, clean, fmt]) => (
+                    <tr key={label} className="border-b border-slate-100">
+                      <td className="py-2 font-semibold text-slate-700">{label}</td>
+                      <td className="py-2 text-right"><Interval d={raw} fmt={fmt} /></td>
+                      <td className="py-2 text-right"><Interval d={clean} fmt={fmt} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="grid grid-cols-2 gap-4">
+                <Histogram name="mc-effective" title="EFFECTIVE POSITIONS" data={overlay(result.effectiveRaw, result.effectiveClean)} format={fmtInt}
+                  caption={`Effective positions of the standard and CFM portfolios across ${result.runs} simulated markets: how many markets fall in each bin.`} />
+                <Histogram name="mc-surprise" title="SURPRISE: TRUE VS PREDICTED RISK" data={overlay(result.gapRaw, result.gapClean)} format={v => pct(v)} zero
+                  caption={`Gap between true and predicted risk across ${result.runs} simulated markets: how many markets fall in each bin. Positive means the model under-predicted.`} />
+              </div>
+            </div>
+          )}
+          <p className="text-xs text-slate-400 mt-3 leading-relaxed">
+            Each run draws a new market from the same model — same N, q, factors and settings, different seed — and repeats
+            the whole pipeline. The ± is the 95% confidence interval for the mean; the range below it is where 95% of
+            individual markets landed.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
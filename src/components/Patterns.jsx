@@ -0,0 +1,19 @@
+// Hatched fills, so bars that differ in colour also differ in texture. Throughout the explorer hatching marks
+// the side of a comparison that's in trouble: noise, the standard approach, negative weights.
+// Recharts passes raw SVG children straight through, so call patternDefs inside the chart; `id` keeps the
+// pattern ids unique on the page.
+
+export function patternDefs(id, colors) {
+  return (
+    <defs>
+      {Object.entries(colors).map(([key, color]) => (
+        <pattern key={key} id={`${id}-${key}`} width={5} height={5} patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+          <rect width={5} height={5} fill={color} fillOpacity={0.2} />
+          <rect width={2} height={5} fill={color} />
+        </pattern>
+      ))}
+    </defs>
+  );
+}
+
+export const patternFill = (id, key) => `url(#${id}-${key})`;
@@ -0,0 +1,40 @@
+// Tour prose: plain text with a little inline markup, so narratives can be written in JSON.
+//   **bold**   *emphasis*   [coloured]{.red}  (or .green, .teal, .grey)   {name} → vars[name]
+// Markup can nest; variables are inserted as plain text.
+
+const TONES = {
+  red: "font-semibold text-red-500",
+  green: "font-semibold text-green-600",
+  teal: "font-semibold text-cyan-700",
+  grey: "font-semibold text-slate-500",
+};
+
+const TOKEN = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\{\.(\w+)\}|\{(\w+)\}/g;
+
+export function inline(text, vars = {}) {
+  const out = [];
+  let last = 0, m;
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(text))) {
+    if (m.index > last) out.push(text.slice(last, m.index));
+    const key = out.length, at = TOKEN.lastIndex;
+    if (m[1] != null) out.push(<strong key={key} className="font-semibold">{inline(m[1], vars)}</strong>);
+    else if (m[2] != null) out.push(<em key={key}>{inline(m[2], vars)}</em>);
+    else if (m[3] != null) out.push(<span key={key} className={TONES[m[4]] ?? "font-semibold"}>{inline(m[3], vars)}</span>);
+    else out.push(vars[m[5]] == null ? m[0] : String(vars[m[5]]));
+    TOKEN.lastIndex = last = at;
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
+
+// `text` is one paragraph or a list of them
+export default function Prose({ text, vars, className = "", lead }) {
+  const paragraphs = Array.isArray(text) ? text : [text];
+  return paragraphs.map((p, i) => (
+    <p key={i} className={`${className} ${i ? "mt-3" : ""}`}>
+      {lead && !i && <>{lead}{" "}</>}
+      {inline(p, vars)}
+    </p>
+  ));
+}
@@ -0,0 +1,96 @@
+import { useId } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea, Legend } from "recharts";
+import { useTask } from "../useEngine.js";
+import { REGIMES } from "../engine/regimes.js";
+import ChartTable from "./ChartTable.jsx";
+import { pct } from "../format.js";
+
+const RED = "#B84A00";
+const GREEN = "#007A5A";
+const MED = "#64748B";
+
+const axis = { tick: { fontSize: 9, fill: MED }, tickLine: false };
+
+// `table` lists the chart's series as [heading, key, format]; its rows are the timeline, one per day sampled
+function Chart({ title, note, caption, rows, table, children }) {
+  const id = useId();
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200">
+      <div id={`${id}-title`} className="text-xs font-bold text-slate-500 tracking-wide">{title}</div>
+      <div className="text-xs text-slate-400 mb-2">{note}</div>
+      <div style={{ height: 180 }} role="img" aria-labelledby={`${id}-title`} aria-describedby={`${id}-table`}>
+        <ResponsiveContainer width="100%" height="100%">{children}</ResponsiveContainer>
+      </div>
+      <ChartTable id={`${id}-table`} caption={caption} rows={rows}
+        columns={[["Day", r => r.day], ...table.map(([heading, key, format]) => [heading, r => format(r[key])])]} />
+    </div>
+  );
+}
+
+// The estimation window shaded, the break marked, and the day on a numeric axis so both can sit anywhere.
+// ResponsiveContainer sizes its child, so the width and height it passes go through to the chart.
+function Timeline({ result, children, ...size }) {
+  return (
+    <LineChart {...size} data={result.timeline} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+      <XAxis dataKey="day" type="number" domain={[0, result.days]} {...axis} />
+      <ReferenceArea x1={0} x2={result.T} fill="#F1F5F9" />
+      {result.breakDay != null && <ReferenceLine x={result.breakDay} stroke={MED} strokeDasharray="3 3" label={{ value: "break", fontSize: 9, fill: MED, position: "insideTopRight" }} />}
+      {children}
+    </LineChart>
+  );
+}
+
+// Portfolios estimated once on the window, then held while the market changes underneath them
+export default function RegimeChart({ runTask, scenario, q }) {
+  const moving = scenario.regime && scenario.regime !== "stationary";
+  const { result, running, error } = useTask(runTask, "regime", scenario, q, null, moving);
+
+  if (!moving) {
+    return (
+      <div className="bg-slate-50 rounded-xl p-4 mb-5 border border-slate-200 text-xs text-slate-500">
+        The simulated market is stationary: its correlations never change, so everything above is estimation noise alone.
+        Pick a break or drift under <span className="font-semibold">Regime</span> in the market setup to see what happens when the market itself moves.
+      </div>
+    );
+  }
+  return (
+    <div className="mb-5">
+      <div className="text-xs font-bold text-slate-500 tracking-wide mb-2">WHEN THE MARKET MOVES: {REGIMES[scenario.regime].toUpperCase()}</div>
+      {error && <div className="text-xs text-red-600 mb-3">{error}</div>}
+      {!result && !error && <div className="text-xs text-slate-400 py-10 text-center">Tracing the market through time…</div>}
+      {result && (
+        <div className={`grid grid-cols-2 gap-4 transition-opacity ${running ? "opacity-50" : ""}`}>
+          <Chart title="TRUE RISK OF THE HELD PORTFOLIOS" note="Weights fixed on the shaded window (dashed: what was predicted)" rows={result.timeline}
+            caption={`True risk of portfolios estimated on days 0–${result.T} and then held${result.breakDay == null ? "" : `, with the market breaking on day ${result.breakDay}`}. Predicted: ${pct(result.predicted.raw)} standard, ${pct(result.predicted.cleaned)} CFM.`}
+            table={[["Standard", "rawTrue", pct], ["CFM", "cleanedTrue", pct]]}>
+            <Timeline result={result}>
+              <YAxis {...axis} tickFormatter={v => pct(v, 0)} domain={[0, "auto"]} />
+              <ReferenceLine y={result.predicted.raw} stroke={RED} strokeDasharray="4 3" />
+              <ReferenceLine y={result.predicted.cleaned} stroke={GREEN} strokeDasharray="4 3" />
+              <Tooltip formatter={v => pct(v)} labelFormatter={d => `Day ${d}`} />
+              <Legend wrapperStyle={{ fontSize: 10 }} />
+              <Line dataKey="rawTrue" name="Standard" stroke={RED} dot={false} strokeWidth={2} isAnimationActive={false} />
+              <Line dataKey="cleanedTrue" name="CFM" stroke={GREEN} dot={false} strokeWidth={2} isAnimationActive={false} />
+            </Timeline>
+          </Chart>
+          <Chart title="DISTANCE TO THE TRUE CORRELATIONS" note="How far each window estimate is from the market on each day" rows={result.timeline}
+            caption={`Distance between each estimate from days 0–${result.T} and the true correlations on each later day.`}
+            table={[["Raw estimate", "rawDistance", v => v.toFixed(2)], ["Cleaned estimate", "cleanedDistance", v => v.toFixed(2)]]}>
+            <Timeline result={result}>
+              <YAxis {...axis} domain={[0, "auto"]} />
+              <Tooltip formatter={v => v.toFixed(2)} labelFormatter={d => `Day ${d}`} />
+              <Legend wrapperStyle={{ fontSize: 10 }} />
+              <Line dataKey="rawDistance" name="Raw estimate" stroke={RED} dot={false} strokeWidth={2} isAnimationActive={false} />
+              <Line dataKey="cleanedDistance" name="Cleaned estimate" stroke={GREEN} dot={false} strokeWidth={2} isAnimationActive={false} />
+            </Timeline>
+          </Chart>
+        </div>
+      )}
+      <p className="text-xs text-slate-400 mt-3 leading-relaxed">
+        Cleaning removes estimation noise, not change: once the market moves, both estimates drift away from it, and only
+        re-estimating on newer data — the rebalancing above — catches up. What cleaning does is keep the portfolio from
+        betting on patterns that were never there, so it starts closer to the truth and has less to lose when the regime turns.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { BarChart, Bar, XAxis, YAxis, ReferenceLine, Cell, ComposedChart, Line } from "recharts";
+import { pct, binAt } from "../format.js";
+
+const TEAL = "#0E7490";
+const RED = "#B84A00";
+const GREEN = "#007A5A";
+const MED = "#64748B";
+
+const tick = { fontSize: 8, fill: MED };
+
+// One-page printable summary of the current scenario. Hidden on screen; charts use fixed sizes
+// because a print-only element has no layout for ResponsiveContainer to measure.
+export default function Report({ data, reality, settings }) {
+  const rows = [
+    ["Predicted volatility", pct(data.volRaw), pct(data.volClean)],
+    [reality.label[0].toUpperCase() + reality.label.slice(1), pct(reality.raw), pct(reality.clean)],
+    ["Surprise", reality.raw == null ? "—" : pct((reality.raw - data.volRaw) / data.volRaw), reality.clean == null ? "—" : pct((reality.clean - data.volClean) / data.volClean)],
+    ["Effective positions", Math.round(1 / data.hhiRaw), Math.round(1 / data.hhiClean)],
+    ["Largest position", pct(data.maxAbsRaw), pct(data.maxAbsClean)],
+  ];
+  const yDomain = [Math.min(0, ...data.weightData.map(d => d.raw)) * 1.2, Math.max(...data.weightData.map(d => Math.max(d.raw, d.cleaned))) * 1.1];
+
+  return (
+    <div className="hidden print:block text-slate-800" style={{ width: 700 }}>
+      <h1 className="text-xl font-bold font-serif">Correlation cleaning report</h1>
+      <div className="text-xs text-slate-500 mb-4">Generated {new Date().toLocaleString()}</div>
+      <table className="text-xs mb-4 w-full">
+        <tbody>
+          {settings.map(([k, v]) => (
+            <tr key={k}><td className="text-slate-500 pr-4 py-0.5">{k}</td><td className="font-semibold">{v}</td></tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-xs font-bold text-slate-500 tracking-wide mb-1">
+        EIGENVALUE SPECTRUM · {data.signalCount} OF {data.N} ABOVE λ+ = {data.lp.toFixed(2)}
+      </div>
+      <ComposedChart width={700} height={180} data={data.histogram} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+        <XAxis dataKey="bin" tick={tick} />
+        <YAxis tick={tick} />
+        <ReferenceLine x={binAt(data.histogram, data.lp)} stroke={GREEN} strokeDasharray="5 5" />
+        <Bar dataKey="density" isAnimationActive={false}>
+          {data.histogram.map((e, i) => <Cell key={i} fill={e.isSignal ? GREEN : "#94A3B8"} fillOpacity={e.isSignal ? 0.85 : 0.4} />)}
+        </Bar>
+        <Line type="monotone" dataKey="mp" stroke={TEAL} strokeWidth={2} dot={false} isAnimationActive={false} />
+      </ComposedChart>
+      <div className="grid grid-cols-2 gap-4 mt-4">
+        {[["raw", "STANDARD WEIGHTS", "#94A3B8"], ["cleaned", "CLEANED WEIGHTS", GREEN]].map(([key, title, fill]) => (
+          <div key={key}>
+            <div className="text-xs font-bold text-slate-500 tracking-wide mb-1">{title}</div>
+            <BarChart width={340} height={140} data={data.weightData} margin={{ top: 5, right: 5, bottom: 5, left: 0 }}>
+              <XAxis dataKey="asset" tick={false} />
+              <YAxis tick={tick} domain={yDomain} tickFormatter={v => pct(v, 0)} />
+              <ReferenceLine y={0} stroke="#CBD5E1" />
+              <Bar dataKey={key} isAnimationActive={false}>
+                {data.weightData.map((d, i) => <Cell key={i} fill={d[key] >= 0 ? fill : RED} fillOpacity={0.7} />)}
+              </Bar>
+            </BarChart>
+          </div>
+        ))}
+      </div>
+      <table className="text-xs mt-4 w-full border-t border-slate-300">
+        <thead>
+          <tr className="text-slate-500 text-left"><th className="py-1">Risk</th><th className="py-1 text-right">Standard</th><th className="py-1 text-right">Cleaned</th></tr>
+        </thead>
+        <tbody>
+          {rows.map(([k, a, b]) => (
+            <tr key={k} className="border-t border-slate-100">
+              <td className="py-1">{k}</td><td className="py-1 text-right font-mono">{a}</td><td className="py-1 text-right font-mono">{b}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-slate-400 mt-4">
+        Based on Bun, Bouchaud & Potters, <em>Cleaning Large Correlation Matrices: Tools from Random Matrix Theory</em>, Risk (2016).
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useState } from "react";
+import { Select, NumberField } from "./Fields.jsx";
+import { Q_MIN, Q_MAX } from "../engine/scenario.js";
+import { REGIMES } from "../engine/regimes.js";
+
+// Scenario builder for the simulated market. q and T are two views of the same
+// setting (q = N / T), so editing either one moves the explorer's q.
+export default function ScenarioPanel({ market, onMarket, q, onQ }) {
+  const [open, setOpen] = useState(false);
+  const { N, seed, factors, strength, sectors, tails, df, garch, regime, change, breakAt } = market;
+  const T = Math.round(N / q);
+  const set = (patch) => onMarket({ ...market, ...patch });
+  const structure = sectors ? `market + ${sectors} sectors` : `${factors} random factor${factors === 1 ? "" : "s"}`;
+  const dist = `${tails === "student" ? `Student-t(${df})` : "Gaussian"}${garch ? " + GARCH" : ""}`;
+  const moves = regime === "stationary" ? "" : ` · ${REGIMES[regime].toLowerCase()}`;
+
+  return (
+    <div className="bg-slate-50 border border-slate-200 rounded-xl mb-3">
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} className="w-full flex items-center justify-between px-4 py-3 text-left">
+        <span className="text-xs text-slate-500">
+          Simulated market · <span className="font-semibold text-slate-700">{N} assets · {structure} · {dist}{moves} · {T} days · seed {seed}</span>
+        </span>
+        <span className="text-xs text-slate-400">{open ? "▲" : "▼"}</span>
+      </button>
+      {open && (
+        <div className="px-4 pb-4 border-t border-slate-200 pt-4">
+          <div className="grid grid-cols-4 gap-3">
+            <NumberField label="ASSETS (N)" value={N} min={5} max={200} int onChange={v => set({ N: v })} />
+            <NumberField label="DAYS (T)" value={T} min={Math.ceil(N / Q_MAX)} max={Math.floor(N / Q_MIN)} int
+              onChange={v => onQ(N / v)} />
+            <NumberField label="q = N / T" value={Math.round(q * 100) / 100} min={Q_MIN} max={Q_MAX} step={0.01}
+              onChange={onQ} />
+            <NumberField label="SEED" value={seed} min={0} max={2 ** 31 - 1} int onChange={v => set({ seed: v })} />
+          </div>
+          <div className="grid grid-cols-4 gap-3 mt-3">
+            <Select label="STRUCTURE" value={sectors ? "sectors" : "random"}
+              onChange={v => set({ sectors: v === "sectors" ? Math.max(2, factors - 1) : 0 })}
+              options={{ random: "Random factors", sectors: "Market + sectors" }} />
+            {sectors
+              ? <NumberField label="SECTORS" value={sectors} min={1} max={Math.min(20, N)} int onChange={v => set({ sectors: v })}
+                  hint={`${sectors + 1} true factors`} />
+              : <NumberField label="FACTORS" value={factors} min={1} max={Math.min(20, N)} int onChange={v => set({ factors: v })} />}
+            <NumberField label="FACTOR STRENGTH" value={strength} min={0.05} max={2} step={0.05} onChange={v => set({ strength: v })}
+              hint="loading scale" />
+          </div>
+          <div className="grid grid-cols-4 gap-3 mt-3">
+            <Select label="RETURNS" value={tails} onChange={v => set({ tails: v })}
+              options={{ gaussian: "Gaussian", student: "Student-t (fat tails)" }} />
+            {tails === "student" && (
+              <NumberField label="DEGREES OF FREEDOM" value={df} min={2.1} max={100} step={0.5} onChange={v => set({ df: v })}
+                hint="lower = fatter tails" />
+            )}
+            <Select label="VOLATILITY" value={garch ? "garch" : "constant"} onChange={v => set({ garch: v === "garch" })}
+              options={{ constant: "Constant", garch: "GARCH(1,1) clustering" }} />
+          </div>
+          <div className="grid grid-cols-4 gap-3 mt-3">
+            <Select label="REGIME" value={regime} onChange={v => set({ regime: v })} options={REGIMES} />
+            {regime !== "stationary" && (
+              <NumberField label="SIZE OF CHANGE" value={change} min={0.05} max={1} step={0.05} onChange={v => set({ change: v })}
+                hint="0 = none, 1 = complete" />
+            )}
+            {regime.endsWith("break") && (
+              <NumberField label="BREAK AT (% OF T)" value={Math.round(breakAt * 100)} min={10} max={100} step={5}
+                onChange={v => set({ breakAt: v / 100 })} hint={`day ${Math.round(breakAt * T)}; 100 = just after the window`} />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,571 @@
+import {
+  BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer,
+  ReferenceLine, Cell, ComposedChart, Line
+} from "recharts";
+import { CLEANING_METHODS, ESTIMATORS } from "../engine/rmt.js";
+import { CONSTRAINTS, OBJECTIVES, RISK_MODELS } from "../engine/optimize.js";
+import { ALLOCATORS } from "../engine/allocators.js";
+import { SIGNAL_TESTS } from "../engine/significance.js";
+import EstimatorComparison from "./EstimatorComparison.jsx";
+import Backtest from "./Backtest.jsx";
+import RegimeChart from "./RegimeChart.jsx";
+import CorrelationMaps from "./CorrelationMaps.jsx";
+import EigenInspector from "./EigenInspector.jsx";
+import ChartExport from "./ChartExport.jsx";
+import MonteCarlo from "./MonteCarlo.jsx";
+import AllocatorComparison from "./AllocatorComparison.jsx";
+import DollarImpact from "./DollarImpact.jsx";
+import ChartTable from "./ChartTable.jsx";
+import Prose from "./Prose.jsx";
+import { patternDefs, patternFill } from "./Patterns.jsx";
+import { pct, binAt } from "../format.js";
+
+// ============================================================
+// STEP WIDGETS: the building blocks a tour's steps are made of, by the name the tour
+// uses. Each gets the explorer's shared state as `ctx`, plus any props the tour gives it.
+// ============================================================
+const NAVY = "#0B1D3A";
+const TEAL = "#0E7490";
+const AMBER = "#B45309";
+const RED = "#B84A00";
+const GREEN = "#007A5A";
+const MED = "#64748B";
+
+function OptionToggle({ label, options, value, onChange }) {
+  return (
+    <div className="flex items-center gap-2 mb-4">
+      <span className="text-xs font-semibold text-slate-500 tracking-wide">{label}</span>
+      <div className="flex bg-slate-100 rounded-lg p-0.5" role="group" aria-label={label.toLowerCase()}>
+        {Object.entries(options).map(([key, text]) => (
+          <button
+            key={key}
+            onClick={() => onChange(key)}
+            aria-pressed={value === key}
+            className={`px-3 py-1 rounded-md text-xs font-semibold transition-all duration-200 ${
+              value === key ? "bg-white text-cyan-700 shadow-sm" : "text-slate-500 hover:text-slate-700"
+            }`}
+          >
+            {text}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// The allocator and constraint set both the raw and the cleaned portfolio are built under. Only the
+// optimiser takes constraints and an objective; the other allocators are long-only by construction.
+// Fields the step pins are fixed, so their toggles are left out.
+function PortfolioControls({ value, onChange, pinned = {} }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  const free = (field) => !Object.hasOwn(pinned, field);
+  return (
+    <div className="flex flex-wrap gap-x-6">
+      {free("allocator") && <OptionToggle label="ALLOCATOR" options={ALLOCATORS} value={value.allocator} onChange={allocator => set({ allocator })} />}
+      {value.allocator === "optimizer" && (
+        <>
+          {free("constraint") && <OptionToggle label="CONSTRAINTS" options={CONSTRAINTS} value={value.constraint} onChange={constraint => set({ constraint })} />}
+          {value.constraint === "box" && free("cap") && (
+            <OptionToggle label="MAX PER ASSET" options={{ 0.05: "5%", 0.1: "10%", 0.2: "20%" }} value={String(value.cap)} onChange={cap => set({ cap: Number(cap) })} />
+          )}
+          {free("objective") && <OptionToggle label="OBJECTIVE" options={OBJECTIVES} value={value.objective} onChange={objective => set({ objective })} />}
+        </>
+      )}
+      {free("risk") && <OptionToggle label="RISK MODEL" options={RISK_MODELS} value={value.risk} onChange={risk => set({ risk })} />}
+    </div>
+  );
+}
+
+const gap = (actual, predicted) => (actual == null ? null : (actual - predicted) / predicted);
+
+// The histogram as a table: each bin's eigenvalues, both densities, and which side of the cut it falls on
+const histogramColumns = (isSignal) => [
+  ["Eigenvalues", b => `${b.lo.toFixed(2)}–${b.hi.toFixed(2)}`],
+  ["Your data", b => b.density.toFixed(3)],
+  ["Pure randomness", b => b.mp.toFixed(3)],
+  ["Reads as", b => (isSignal(b) ? "Genuine" : "Noise")],
+];
+
+// ============================================================
+// PROSE
+// ============================================================
+const CALLOUTS = {
+  panel: { box: "bg-slate-50 rounded-xl p-6 border border-slate-200", text: "text-slate-600 leading-relaxed [&_strong]:text-slate-800" },
+  insight: { box: "bg-cyan-50 border border-cyan-200 rounded-xl p-5", heading: "text-xs font-bold tracking-wide mb-2 text-cyan-700", text: "text-cyan-900 text-sm leading-relaxed" },
+  amber: { box: "bg-amber-50 border border-amber-200 rounded-lg p-4", text: "text-sm text-amber-800", lead: "font-bold" },
+  cyan: { box: "bg-cyan-50 border border-cyan-200 rounded-lg p-4", text: "text-sm text-cyan-800 leading-relaxed", lead: "font-bold" },
+  dark: { box: "bg-slate-800 rounded-xl p-5", text: "text-sm text-slate-300 leading-relaxed", lead: "text-cyan-400 font-bold" },
+  navy: { box: "rounded-xl p-6", style: { backgroundColor: NAVY }, heading: "text-cyan-400 text-xs font-bold tracking-widest mb-3", text: "text-slate-300 text-sm leading-relaxed [&_em]:text-white" },
+};
+
+// A boxed passage of prose: `tone` picks the box, with an optional small-caps `heading`, a bold `lead`
+// run into the first paragraph, and a small-print `note` underneath
+function Callout({ ctx, tone = "cyan", heading, lead, text, note }) {
+  const style = CALLOUTS[tone] ?? CALLOUTS.cyan;
+  return (
+    <div className={`${style.box} mb-5 last:mb-0`} style={style.style}>
+      {heading && <div className={style.heading}>{heading}</div>}
+      <Prose text={text} vars={ctx.vars} className={style.text} lead={lead && <span className={style.lead}>{lead}</span>} />
+      {note && <Prose text={note} vars={ctx.vars} className="text-slate-300 text-xs mt-4" />}
+    </div>
+  );
+}
+
+// ============================================================
+// CONTROLS
+// ============================================================
+
+// The settings toggles the step lists in `show`, less the ones it pins
+function Controls({ ctx, show = [] }) {
+  const { settings, set, pin } = ctx;
+  const shown = (key) => show.includes(key) && !Object.hasOwn(pin, key);
+  const { significance } = settings;
+  return (
+    <>
+      <div className="flex flex-wrap gap-x-6">
+        {shown("method") && <OptionToggle label="CLEANING METHOD" options={CLEANING_METHODS} value={settings.method} onChange={set.method} />}
+        {shown("estimator") && <OptionToggle label="ESTIMATOR" options={ESTIMATORS} value={settings.estimator} onChange={set.estimator} />}
+        {shown("significance") && (
+          <>
+            <OptionToggle label="SIGNAL TEST" options={SIGNAL_TESTS} value={significance.test} onChange={test => set.significance(v => ({ ...v, test }))} />
+            {significance.test !== "edge" && (
+              <OptionToggle label="SIGNIFICANCE LEVEL" options={{ 0.01: "1%", 0.05: "5%", 0.1: "10%" }} value={String(significance.alpha)}
+                onChange={alpha => set.significance(v => ({ ...v, alpha: Number(alpha) }))} />
+            )}
+          </>
+        )}
+      </div>
+      {show.includes("portfolio") && <PortfolioControls value={settings.portfolio} onChange={set.portfolio} pinned={pin.portfolio} />}
+    </>
+  );
+}
+
+// ============================================================
+// THE SPECTRUM
+// ============================================================
+function Histogram({ ctx }) {
+  const { data, N, settings, sig, signalCount, isSignalBin, setInspect, refs, reducedMotion } = ctx;
+  const criticalBin = sig && settings.significance.test !== "edge" && binAt(data.histogram, sig.critical);
+  return (
+    <div className="bg-slate-50 rounded-xl p-4 border border-slate-200 mb-4" ref={refs.hist}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-xs font-bold text-slate-500 tracking-wide">{data.N} ASSETS · {data.T} DAYS OF DATA · q = {data.q.toFixed(2)} · {ESTIMATORS[settings.estimator].toUpperCase()} CORRELATIONS</div>
+        <ChartExport targetRef={refs.hist} name="mp-histogram" />
+      </div>
+      <div role="img" aria-label="Histogram of eigenvalues against the pure-noise curve" aria-describedby="mp-histogram-table">
+        <ResponsiveContainer width="100%" height={280}>
+          <ComposedChart data={data.histogram} margin={{ top: 10, right: 20, bottom: 25, left: 10 }}>
+            {patternDefs("mp-histogram", { noise: MED })}
+            <XAxis dataKey="bin" tick={{ fontSize: 9, fill: MED }} label={{ value: "Strength of pattern (stronger →)", position: "bottom", fontSize: 10, fill: MED, offset: 0 }} />
+            <YAxis tick={{ fontSize: 9, fill: MED }} />
+            <ReferenceLine x={binAt(data.histogram, data.lp)} stroke={GREEN} strokeDasharray="5 5" strokeWidth={2} />
+            {criticalBin && <ReferenceLine x={criticalBin} stroke={AMBER} strokeDasharray="2 3" strokeWidth={2} />}
+            <Bar dataKey="density" name="Your data" radius={[2, 2, 0, 0]} cursor="pointer" onClick={(d) => setInspect({ lo: d.lo, hi: d.hi })}
+              isAnimationActive={!reducedMotion}>
+              {data.histogram.map((e, i) => (isSignalBin(e)
+                ? <Cell key={i} fill={GREEN} fillOpacity={0.85} />
+                : <Cell key={i} fill={patternFill("mp-histogram", "noise")} fillOpacity={0.6} />))}
+            </Bar>
+            <Line type="monotone" dataKey="mp" name="Pure randomness" stroke={TEAL} strokeWidth={2.5} dot={false} isAnimationActive={!reducedMotion} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      <ChartTable id="mp-histogram-table" rows={data.histogram} columns={histogramColumns(isSignalBin)}
+        caption={`Eigenvalue histogram of the ${N} × ${N} correlation matrix against the Marchenko–Pastur density of pure noise. ${signalCount} of ${N} eigenvalues read as genuine; the noise band ends at λ+ = ${data.lp.toFixed(2)}.`} />
+    </div>
+  );
+}
+
+function Inspector({ ctx }) {
+  return <EigenInspector runTask={ctx.runTask} scenario={ctx.scenario} q={ctx.q} selection={ctx.inspect} onSelect={ctx.setInspect} />;
+}
+
+function SignalCounts({ ctx }) {
+  const { N, sig, signalCount } = ctx;
+  return (
+    <div className="grid grid-cols-3 gap-3 mb-4">
+      <div className="bg-slate-100 rounded-lg p-4 text-center">
+        <div className="text-2xl font-bold text-slate-400">{N}</div>
+        <div className="text-xs text-slate-500 mt-1">Patterns your model sees</div>
+      </div>
+      <div className="bg-green-50 rounded-lg p-4 text-center border border-green-200">
+        <div className="text-2xl font-bold" style={{ color: GREEN }}>{signalCount}</div>
+        <div className="text-xs text-green-700 mt-1">Genuine relationships</div>
+        {sig && <div className="text-xs text-slate-400 mt-1">90% interval {sig.interval[0]}–{sig.interval[1]}</div>}
+      </div>
+      <div className="bg-red-50 rounded-lg p-4 text-center border border-red-200">
+        <div className="text-2xl font-bold" style={{ color: RED }}>{N - signalCount}</div>
+        <div className="text-xs text-red-700 mt-1">Coincidence</div>
+      </div>
+    </div>
+  );
+}
+
+// The chosen test's p-values; nothing for the plain λ+ cut
+function PValues({ ctx }) {
+  const { sig, signalCount, settings: { significance } } = ctx;
+  if (!sig || significance.test === "edge") return null;
+  return (
+    <p className="text-xs text-slate-500 mb-4">
+      <span className="font-semibold">p-values, largest eigenvalues first:</span>{" "}
+      {sig.leading.slice(0, Math.max(signalCount + 2, 4)).map((l, k) => (
+        <span key={k} className={`font-mono mr-3 ${l.significant ? "text-green-700" : "text-slate-400"}`}>
+          λ{k + 1} {l.pValue < 0.001 ? "<0.001" : l.pValue.toFixed(3)}
+        </span>
+      ))}
+      <br />
+      {significance.test === "tracy-widom"
+        ? "Each eigenvalue is compared with the Tracy–Widom law for the largest eigenvalue of pure noise (amber line), which accounts for how far that eigenvalue wanders past λ+ at this N."
+        : "Each eigenvalue is compared with the largest eigenvalue of the same returns with every asset's history shuffled independently (amber line: its threshold), which keeps each asset's distribution and destroys every correlation."}
+      {" "}Testing stops at the first eigenvalue that isn't significant.
+    </p>
+  );
+}
+
+function Heatmaps({ ctx }) {
+  return <CorrelationMaps runTask={ctx.runTask} scenario={ctx.scenario} q={ctx.q} />;
+}
+
+// Step through q: play, pause, scrub, with the histogram and the noise share following along
+function Sweep({ ctx }) {
+  const { data, N, dataset, q, reducedMotion } = ctx;
+  const { isAnimating, paused, speed, setSpeed, hold, setHold, qLo, qHi, sweepProgress, start, pause, scrubTo, reset } = ctx.animation;
+  const qColor = q > 0.6 ? RED : q > 0.3 ? AMBER : GREEN;
+  return (
+    <>
+      <div className="flex flex-wrap gap-x-6">
+        {!dataset && (
+          <OptionToggle label="ANIMATE" options={{ N: "T at fixed N", T: "N at fixed T" }} value={hold}
+            onChange={h => { reset(); setHold(h); }} />
+        )}
+        <OptionToggle label="SPEED" options={{ 0.5: "½×", 1: "1×", 2: "2×", 4: "4×" }} value={String(speed)} onChange={v => setSpeed(Number(v))} />
+      </div>
+      <div className="flex items-center gap-3 mb-4">
+        <button
+          onClick={isAnimating ? pause : start}
+          className={`px-5 py-2 rounded-lg text-sm font-bold transition-all min-w-[96px] ${
+            isAnimating ? "bg-slate-600 text-white hover:bg-slate-700" : "bg-cyan-700 text-white hover:bg-cyan-800"
+          }`}
+        >
+          {isAnimating ? "❚❚  Pause" : paused ? "▶  Resume" : "▶  Play"}
+        </button>
+        <button onClick={() => scrubTo(q - 0.01)} disabled={q <= qLo} title="Step back (q − 0.01)"
+          className="px-2 py-2 rounded-lg text-sm font-bold bg-slate-100 text-slate-600 hover:bg-slate-200 disabled:opacity-40">◀</button>
+        <button onClick={() => scrubTo(q + 0.01)} disabled={q >= qHi} title="Step forward (q + 0.01)"
+          className="px-2 py-2 rounded-lg text-sm font-bold bg-slate-100 text-slate-600 hover:bg-slate-200 disabled:opacity-40">▶</button>
+        <input type="range" min={qLo} max={qHi} step={0.01} value={q} onChange={e => scrubTo(Number(e.target.value))}
+          aria-label="Noise ratio q" className="flex-1 accent-cyan-700" />
+        <button onClick={reset} className="text-xs font-semibold text-slate-400 hover:text-slate-600">Reset</button>
+        <div className="text-sm font-mono font-bold min-w-[100px]" style={{ color: qColor }}>
+          q = {q.toFixed(2)}
+          <div className="text-xs font-normal text-slate-400">N = {data.N} · T = {data.T}</div>
+        </div>
+        <div className="sr-only" role="status">
+          {!isAnimating && `q = ${data.q.toFixed(2)}: ${data.signalCount} genuine relationships, ${pct(data.noiseCount / N, 0)} of patterns are coincidence`}
+        </div>
+      </div>
+      {sweepProgress < 1 && (
+        <div className="text-xs text-slate-400 -mt-2 mb-3">
+          Precomputing the sweep for smooth playback… {Math.round(sweepProgress * 100)}%
+        </div>
+      )}
+
+      <div className="bg-slate-50 rounded-xl p-4 border border-slate-200 mb-4">
+        <div role="img" aria-label={`Histogram of eigenvalues at q = ${data.q.toFixed(2)}`} aria-describedby="sweep-histogram-table">
+          <ResponsiveContainer width="100%" height={260}>
+            <ComposedChart data={data.histogram} margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+              {patternDefs("sweep-histogram", { noise: MED })}
+              <XAxis dataKey="bin" tick={{ fontSize: 9, fill: MED }} />
+              <YAxis tick={{ fontSize: 9, fill: MED }} />
+              <ReferenceLine x={binAt(data.histogram, data.lp)} stroke={GREEN} strokeDasharray="5 5" strokeWidth={2} />
+              <Bar dataKey="density" radius={[2, 2, 0, 0]} isAnimationActive={!reducedMotion}>
+                {data.histogram.map((e, i) => (e.isSignal
+                  ? <Cell key={i} fill={GREEN} fillOpacity={0.85} />
+                  : <Cell key={i} fill={patternFill("sweep-histogram", "noise")} fillOpacity={0.6} />))}
+              </Bar>
+              <Line type="monotone" dataKey="mp" stroke={TEAL} strokeWidth={2.5} dot={false} isAnimationActive={!reducedMotion} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+        <ChartTable id="sweep-histogram-table" rows={data.histogram} columns={histogramColumns(b => b.isSignal)}
+          caption={`Eigenvalue histogram at q = ${data.q.toFixed(2)} (${data.N} assets, ${data.T} days) against the pure-noise density: ${data.signalCount} of ${data.N} eigenvalues clear the noise band.`} />
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mb-4">
+        <div className="rounded-lg p-3 text-center" style={{ backgroundColor: q > 0.6 ? "#FDF1E9" : q > 0.3 ? "#FFFBEB" : "#E8F5F0" }}>
+          <div className="text-lg font-bold" style={{ color: qColor }}>
+            {pct(data.noiseCount / N, 0)}
+          </div>
+          <div className="text-xs text-slate-600">of patterns are coincidence</div>
+        </div>
+        <div className="bg-slate-50 rounded-lg p-3 text-center">
+          <div className="text-lg font-bold text-slate-700">{data.signalCount}</div>
+          <div className="text-xs text-slate-500">
+            genuine relationships{data.trueFactors != null && ` (${data.trueFactors} in the model)`}
+          </div>
+        </div>
+        <div className="bg-slate-50 rounded-lg p-3 text-center">
+          <div className="text-lg font-bold text-slate-700">{(data.q).toFixed(2)}</div>
+          <div className="text-xs text-slate-500">noise ratio (higher = worse)</div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// ============================================================
+// PORTFOLIOS
+// ============================================================
+
+// Raw and cleaned weights side by side, on a shared scale
+function Weights({ ctx }) {
+  const { data, N, settings, assetAxis, assetLabel, refs, reducedMotion } = ctx;
+  const domain = [Math.min(0, ...data.weightData.map(d => d.raw)) * 1.2, Math.max(...data.weightData.map(d => d.raw), ...data.weightData.map(d => d.cleaned)) * 1.1];
+  return (
+    <>
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div className="bg-red-50 rounded-xl p-4 border border-red-200">
+          <div className="flex justify-between">
+            <div className="text-xs font-bold text-red-700 tracking-wide mb-1">STANDARD APPROACH</div>
+            <ChartExport targetRef={refs.rawWeights} name="weights-raw" />
+          </div>
+          <div className="text-xs text-red-500 mb-3">Trusts the raw correlations</div>
+          <div style={{ height: 200 }} ref={refs.rawWeights} role="img" aria-label="Standard portfolio weights by asset" aria-describedby="weights-table">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data.weightData} margin={{ top: 15, right: 5, bottom: 5, left: 5 }}>
+                {patternDefs("weights-raw", { short: RED })}
+                <XAxis dataKey="asset" {...assetAxis} />
+                <YAxis tick={{ fontSize: 8, fill: MED }} domain={domain} />
+                <ReferenceLine y={0} stroke="#CBD5E1" />
+                <Tooltip formatter={(v) => [pct(v), "Standard weight"]} labelFormatter={assetLabel} cursor={{ fill: "#F1F5F9" }} />
+                <Bar dataKey="raw" radius={[1, 1, 0, 0]} isAnimationActive={!reducedMotion}>
+                  {data.weightData.map((d, i) => <Cell key={i} fill={d.raw >= 0 ? MED : patternFill("weights-raw", "short")} fillOpacity={0.8} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-center mt-3">
+            <span className="text-lg font-bold" style={{ color: RED }}>{Math.round(1 / data.hhiRaw)}</span>
+            <span className="text-xs text-red-600 ml-2">effective positions out of {N}</span>
+          </div>
+        </div>
+        <div className="bg-green-50 rounded-xl p-4 border border-green-200">
+          <div className="flex justify-between">
+            <div className="text-xs font-bold text-green-700 tracking-wide mb-1">CFM'S APPROACH</div>
+            <ChartExport targetRef={refs.cleanWeights} name="weights-cleaned" />
+          </div>
+          <div className="text-xs text-green-600 mb-3">Applies Bouchaud & Potters' cleaning · {CLEANING_METHODS[settings.method]}</div>
+          <div style={{ height: 200 }} ref={refs.cleanWeights} role="img" aria-label="Cleaned portfolio weights by asset" aria-describedby="weights-table">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data.weightData} margin={{ top: 15, right: 5, bottom: 5, left: 5 }}>
+                {patternDefs("weights-cleaned", { short: RED })}
+                <XAxis dataKey="asset" {...assetAxis} />
+                <YAxis tick={{ fontSize: 8, fill: MED }} domain={domain} />
+                <ReferenceLine y={0} stroke="#CBD5E1" />
+                <Tooltip formatter={(v) => [pct(v), "Cleaned weight"]} labelFormatter={assetLabel} cursor={{ fill: "#F1F5F9" }} />
+                <Bar dataKey="cleaned" radius={[1, 1, 0, 0]} isAnimationActive={!reducedMotion}>
+                  {data.weightData.map((d, i) => <Cell key={i} fill={d.cleaned >= 0 ? GREEN : patternFill("weights-cleaned", "short")} fillOpacity={0.85} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-center mt-3">
+            <span className="text-lg font-bold" style={{ color: GREEN }}>{Math.round(1 / data.hhiClean)}</span>
+            <span className="text-xs text-green-600 ml-2">effective positions out of {N}</span>
+          </div>
+        </div>
+      </div>
+      <ChartTable id="weights-table" rows={data.weightData}
+        columns={[["Asset", d => assetLabel(d.asset)], ["Standard weight", d => pct(d.raw, 2)], ["Cleaned weight", d => pct(d.cleaned, 2)]]}
+        caption={`Portfolio weight of each of the ${N} assets, built on the raw and on the cleaned correlations. Hatched bars are short positions. Effective positions: ${Math.round(1 / data.hhiRaw)} standard, ${Math.round(1 / data.hhiClean)} cleaned.`} />
+
+      {data.ridgeRaw > 0 && (
+        <p className="text-xs text-slate-400 mb-3">
+          The raw matrix is close to singular (condition number {Number.isFinite(data.conditionRaw) ? data.conditionRaw.toExponential(0) : "∞"}),
+          so a small ridge was added before optimising it.
+        </p>
+      )}
+    </>
+  );
+}
+
+// Picking an allocator here only sticks if the step doesn't pin it
+function Allocators({ ctx }) {
+  const { runTask, scenario, q, settings, set } = ctx;
+  return (
+    <AllocatorComparison runTask={runTask} scenario={scenario} q={q} allocator={settings.portfolio.allocator}
+      onSelect={allocator => set.portfolio(p => ({ ...p, allocator }))} />
+  );
+}
+
+function BacktestWidget({ ctx }) {
+  return <Backtest runTask={ctx.runTask} scenario={ctx.scenario} q={ctx.q} />;
+}
+
+// Simulations only: an uploaded history has one regime, whatever it was
+function Regime({ ctx }) {
+  return ctx.dataset ? null : <RegimeChart runTask={ctx.runTask} scenario={ctx.scenario} q={ctx.q} />;
+}
+
+// ============================================================
+// RISK
+// ============================================================
+
+// Each approach's predicted risk against reality, and by how much it missed
+function RiskPanel({ ctx }) {
+  const { data, dataset, reality, volUnit, settings } = ctx;
+  return (
+    <>
+      {/* STANDARD APPROACH */}
+      <div className="bg-red-50 border border-red-200 rounded-xl p-5 mb-4">
+        <div className="text-xs font-bold tracking-wide mb-4" style={{ color: RED }}>STANDARD APPROACH — TRUSTS RAW CORRELATIONS</div>
+        <div className="flex items-center gap-4">
+          <div className="text-center flex-1">
+            <div className="text-xs text-slate-500 mb-1">Model says</div>
+            <div className="text-3xl font-bold text-slate-400">{pct(data.volRaw)}</div>
+            <div className="text-xs text-slate-400">{volUnit}</div>
+          </div>
+          <div className="text-center px-3">
+            <div className="text-xs text-slate-400 mb-1">but</div>
+            <div className="text-2xl">→</div>
+          </div>
+          <div className="text-center flex-1">
+            <div className="text-xs text-red-600 mb-1">Reality is</div>
+            <div className="text-3xl font-bold" style={{ color: RED }}>{pct(reality.raw)}</div>
+            <div className="text-xs text-red-600">{reality.label}</div>
+            {reality.hasTruth && <div className="text-xs text-slate-400 mt-1">{pct(data.volRawOOS)} realised out-of-sample</div>}
+          </div>
+          <div className="text-center flex-1 bg-white rounded-lg p-3 border border-red-200">
+            <div className="text-xs text-red-600 mb-1">Risk underestimation</div>
+            <div className="text-2xl font-bold" style={{ color: RED }}>
+              {pct(gap(reality.raw, data.volRaw), 0)}
+            </div>
+            <div className="text-xs text-red-500">worse than model predicted</div>
+            {reality.hasTruth && <div className="text-xs text-slate-400 mt-1">{pct(gap(data.volRawOOS, data.volRaw), 0)} out-of-sample</div>}
+          </div>
+        </div>
+        <p className="text-xs text-red-700 mt-4 leading-relaxed">
+          The optimiser fits to accidental correlations, producing a risk estimate that's lower than what you'll actually experience.
+          {reality.hasTruth
+            ? `"Reality" here is the portfolio scored on the model's true correlations and on a fresh, unseen sample of the same length.`
+            : reality.raw == null
+              ? "Your window runs to the end of the file, so there is no later period to measure realised risk on — move the window back to get one."
+              : `"Reality" here is the realised risk over the ${dataset.Xoos.length} days after your estimation window.`}
+          You don't discover the gap until a drawdown hits harder than your model said it could.
+        </p>
+      </div>
+
+      {/* CFM APPROACH */}
+      <div className="bg-green-50 border border-green-200 rounded-xl p-5 mb-5">
+        <div className="text-xs font-bold tracking-wide mb-4" style={{ color: GREEN }}>CFM'S APPROACH — CLEANS THE MATRIX FIRST ({CLEANING_METHODS[settings.method].toUpperCase()})</div>
+        <div className="flex items-center gap-4">
+          <div className="text-center flex-1">
+            <div className="text-xs text-slate-500 mb-1">Model says</div>
+            <div className="text-3xl font-bold" style={{ color: GREEN }}>{pct(data.volClean)}</div>
+            <div className="text-xs text-green-600">{volUnit}</div>
+          </div>
+          <div className="text-center px-3">
+            <div className="text-xs text-slate-400 mb-1">and</div>
+            <div className="text-2xl">→</div>
+          </div>
+          <div className="text-center flex-1">
+            <div className="text-xs text-green-600 mb-1">Reality is</div>
+            <div className="text-3xl font-bold" style={{ color: GREEN }}>{pct(reality.clean)}</div>
+            <div className="text-xs text-green-600">{reality.label}</div>
+            {reality.hasTruth && <div className="text-xs text-slate-400 mt-1">{pct(data.volCleanOOS)} realised out-of-sample</div>}
+          </div>
+          <div className="text-center flex-1 bg-white rounded-lg p-3 border border-green-200">
+            <div className="text-xs text-green-600 mb-1">Surprise factor</div>
+            <div className="text-2xl font-bold" style={{ color: GREEN }}>
+              {pct(gap(reality.clean, data.volClean), 0)}
+            </div>
+            <div className="text-xs text-green-600">gap between model and truth</div>
+            {reality.hasTruth && <div className="text-xs text-slate-400 mt-1">{pct(gap(data.volCleanOOS, data.volClean), 0)} out-of-sample</div>}
+          </div>
+        </div>
+        <p className="text-xs text-green-700 mt-4 leading-relaxed">
+          The cleaned portfolio may show a higher risk number — but it's an <span className="font-bold">honest</span> number.
+          No hidden risk. No nasty surprises. The weights are more diversified, more stable, and the risk
+          estimate reflects what you'll actually experience.
+        </p>
+      </div>
+    </>
+  );
+}
+
+function RiskChart({ ctx }) {
+  const { data, reality, volUnit, refs, reducedMotion } = ctx;
+  const rows = [
+    { name: "Standard", predicted: data.volRaw, reality: reality.raw },
+    { name: "CFM", predicted: data.volClean, reality: reality.clean },
+  ];
+  return (
+    <div className="bg-white rounded-xl p-4 border border-slate-200 mb-5">
+      <div className="flex justify-between mb-2">
+        <div className="text-xs font-bold text-slate-500 tracking-wide">PREDICTED VS {reality.label.toUpperCase()}</div>
+        <ChartExport targetRef={refs.risk} name="risk" />
+      </div>
+      <div style={{ height: 160 }} ref={refs.risk} role="img" aria-label={`Predicted risk against ${reality.label}`} aria-describedby="risk-table">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart layout="vertical" margin={{ top: 0, right: 20, bottom: 0, left: 10 }} data={rows}>
+            {patternDefs("risk", { raw: RED })}
+            <XAxis type="number" tick={{ fontSize: 9, fill: MED }} tickFormatter={v => pct(v, 0)} />
+            <YAxis type="category" dataKey="name" tick={{ fontSize: 10, fill: MED }} width={70} />
+            <Tooltip formatter={(v, k) => [pct(v), k === "predicted" ? "Model says" : reality.label]} cursor={{ fill: "#F1F5F9" }} />
+            <Bar dataKey="predicted" fill={MED} fillOpacity={0.8} radius={[0, 2, 2, 0]} isAnimationActive={!reducedMotion} />
+            <Bar dataKey="reality" radius={[0, 2, 2, 0]} isAnimationActive={!reducedMotion}>
+              <Cell fill={patternFill("risk", "raw")} />
+              <Cell fill={GREEN} fillOpacity={0.85} />
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="text-xs text-slate-400 mt-1">Grey: what each model predicts. Coloured: {reality.label} (hatched for the standard approach).</div>
+      <ChartTable id="risk-table" rows={rows}
+        columns={[["Approach", r => r.name], ["Model says", r => pct(r.predicted)], [reality.label[0].toUpperCase() + reality.label.slice(1), r => pct(r.reality)]]}
+        caption={`Risk each portfolio's model predicts against its ${reality.label}, as ${volUnit}.`} />
+    </div>
+  );
+}
+
+function Dollars({ ctx }) {
+  const { data, reality, settings } = ctx;
+  return (
+    <DollarImpact volRaw={data.volRaw} volClean={data.volClean} reality={reality} annualised={settings.portfolio.risk === "covariance"}
+      view={ctx.riskView} onView={ctx.setRiskView} />
+  );
+}
+
+function MonteCarloWidget({ ctx }) {
+  return ctx.dataset ? null : <MonteCarlo runTask={ctx.runTask} scenario={ctx.scenario} q={ctx.q} riskView={ctx.riskView} />;
+}
+
+function Estimators({ ctx }) {
+  return <EstimatorComparison runTask={ctx.runTask} scenario={ctx.scenario} q={ctx.q} />;
+}
+
+// ============================================================
+// REGISTRY: widget names as tours use them
+// ============================================================
+export const WIDGETS = {
+  callout: Callout,
+  controls: Controls,
+  histogram: Histogram,
+  "eigen-inspector": Inspector,
+  "signal-counts": SignalCounts,
+  "p-values": PValues,
+  heatmap: Heatmaps,
+  sweep: Sweep,
+  weights: Weights,
+  allocators: Allocators,
+  backtest: BacktestWidget,
+  regime: Regime,
+  "risk-panel": RiskPanel,
+  "risk-chart": RiskChart,
+  "dollar-impact": Dollars,
+  "monte-carlo": MonteCarloWidget,
+  estimators: Estimators,
+};
+
+// Widgets that can show before the simulation has produced anything
+export const STATIC_WIDGETS = new Set(["callout"]);
@@ -0,0 +1,74 @@
+import { useEffect, useRef } from "react";
+import { WIDGETS } from "./components/StepWidgets.jsx";
+
+// ============================================================
+// EMBED: ?embed=<widget> shows one step widget on its own, for an iframe in a research
+// portal or notebook. The rest of the URL sets it up as usual (q, N, seed, method, …).
+// The host page talks to it with postMessage:
+//   host → explorer   { type: "cfm:set", q, params: { N: 80, method: "clipping", … } }
+//   explorer → host   { type: "cfm:ready" } once it is listening, then
+//                     { type: "cfm:result", q, N, T, signalCount, lambdaPlus, volRaw, volClean, … }
+//                     every time the figures change
+// The messages need ?origin=<host origin>, and only that origin is listened to and written to.
+// Without it the frame still shows the widget, but takes no orders and reports nothing:
+// a wildcard would let any page that frames it drive it and read its results.
+// ============================================================
+
+// Prose and toggles mean nothing without the step around them
+const NOT_EMBEDDABLE = ["callout", "controls"];
+export const EMBEDDABLE = Object.keys(WIDGETS).filter(w => !NOT_EMBEDDABLE.includes(w));
+
+// An origin as the browser writes it (scheme, host, port), or null for anything that isn't one
+function parseOrigin(value) {
+  if (!value) return null;
+  try {
+    const { origin } = new URL(value);
+    return origin === "null" ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+// null outside embed mode; an unknown widget name leaves `widget` null so the frame can say so,
+// and a missing or malformed origin leaves `origin` null, which keeps the message bridge closed
+export function embedTarget(search) {
+  const params = new URLSearchParams(search);
+  const widget = params.get("embed");
+  if (widget == null) return null;
+  return { widget: EMBEDDABLE.includes(widget) ? widget : null, origin: parseOrigin(params.get("origin")) };
+}
+
+// Folds a cfm:set message into the current query string, so it is validated and clamped
+// exactly like a URL would be
+export function applyMessage(search, { q, params = {} }) {
+  const merged = new URLSearchParams(search);
+  for (const [key, value] of Object.entries(params)) {
+    if (value == null) merged.delete(key);
+    else merged.set(key, String(value));
+  }
+  if (q != null) merged.set("q", String(q));
+  return `?${merged}`;
+}
+
+// Listens for cfm:set from the parent frame and reports `result` back whenever it changes
+export function useEmbedBridge(embed, onSet, result) {
+  const handler = useRef(onSet);
+  handler.current = onSet;
+  const framed = !!embed?.origin && window.parent !== window;
+
+  useEffect(() => {
+    if (!framed) return;
+    const onMessage = (e) => {
+      if (e.source !== window.parent || e.origin !== embed.origin) return;
+      if (e.data?.type === "cfm:set") handler.current(e.data);
+    };
+    window.addEventListener("message", onMessage);
+    window.parent.postMessage({ type: "cfm:ready" }, embed.origin);
+    return () => window.removeEventListener("message", onMessage);
+  }, [framed, embed]);
+
+  const message = result && JSON.stringify(result);
+  useEffect(() => {
+    if (framed && message) window.parent.postMessage({ type: "cfm:result", ...JSON.parse(message) }, embed.origin);
+  }, [framed, embed, message]);
+}
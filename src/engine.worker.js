@@ -0,0 +1,69 @@
+import { computeScenario, compareEstimators, compareAllocators, backtestScenario, correlationMaps, eigenModes, exportScenario, monteCarlo, scenarioSignificance, regimeTimeline } from "./engine/scenario.js";
+
+// ============================================================
+// ENGINE WORKER
+// Messages in:  { type: "compute", id, scenario, q }
+//               { type: "sweep", id, scenario, qs }
+//               { type: "task", id, task, scenario, q, params }   one-off analyses (see TASKS)
+//               { type: "cancel", id }
+//               { type: "dataset", dataset }   uploaded returns, referenced by scenario.dataId
+// Messages out: { type: "result", id, q, data }
+//               { type: "progress", id, done, total }
+//               { type: "done", id, result }
+//               { type: "error", id, message }
+// Every job is a generator that the worker steps through one slice at a time,
+// yielding to the event loop in between, so a cancel or a single-q request can
+// overtake a long sweep.
+// ============================================================
+const TASKS = {
+  compare: function* (scenario, q, params) { return compareEstimators(scenario, q, dataset, params); },
+  allocators: function* (scenario, q) { return compareAllocators(scenario, q, dataset); },
+  matrices: function* (scenario, q) { return correlationMaps(scenario, q, dataset); },
+  eigenvectors: function* (scenario, q) { return eigenModes(scenario, q, dataset); },
+  export: function* (scenario, q) { return exportScenario(scenario, q, dataset); },
+  montecarlo: (scenario, q, params) => monteCarlo(scenario, q, dataset, params),
+  significance: (scenario, q, params) => scenarioSignificance(scenario, q, dataset, params),
+  backtest: (scenario, q, params) => backtestScenario(scenario, q, dataset, params),
+  regime: function* (scenario, q) { return regimeTimeline(scenario, q, dataset); },
+};
+
+function* scenarioJob(scenario, qs) {
+  for (let i = 0; i < qs.length; i++) {
+    yield { type: "result", q: qs[i], data: computeScenario(scenario, qs[i], dataset) };
+    if (qs.length > 1) yield { type: "progress", done: i + 1, total: qs.length };
+  }
+}
+
+const jobs = [];
+let pumping = false;
+let dataset = null;
+
+function pump() {
+  const job = jobs[0];
+  if (!job) { pumping = false; return; }
+  try {
+    const { value, done } = job.iter.next();
+    if (done) {
+      jobs.shift();
+      self.postMessage({ type: "done", id: job.id, result: value });
+    } else self.postMessage({ ...value, id: job.id });
+  } catch (err) {
+    jobs.shift();
+    self.postMessage({ type: "error", id: job.id, message: err.message });
+  }
+  setTimeout(pump, 0);
+}
+
+self.onmessage = ({ data: msg }) => {
+  if (msg.type === "dataset") { dataset = msg.dataset; return; }
+  if (msg.type === "cancel") {
+    const i = jobs.findIndex(j => j.id === msg.id);
+    if (i >= 0) jobs.splice(i, 1);
+    return;
+  }
+  if (msg.type === "compute") jobs.unshift({ id: msg.id, iter: scenarioJob(msg.scenario, [msg.q]) });
+  else if (msg.type === "sweep") jobs.push({ id: msg.id, iter: scenarioJob(msg.scenario, msg.qs) });
+  else if (msg.type === "task" && TASKS[msg.task]) jobs.unshift({ id: msg.id, iter: TASKS[msg.task](msg.scenario, msg.q, msg.params) });
+  else return;
+  if (!pumping) { pumping = true; setTimeout(pump, 0); }
+};
@@ -0,0 +1,80 @@
+import { optimizePortfolio, conditionGuard } from "./optimize.js";
+import { clusterOrder } from "./cluster.js";
+
+// ============================================================
+// ALLOCATORS: ways of turning a risk matrix into weights. The optimiser honours the
+// portfolio's constraints and objective; the others are long-only by construction and
+// need no expected returns. All work on a correlation or a covariance matrix.
+// ============================================================
+export const ALLOCATORS = {
+  optimizer: "Optimiser",
+  "risk-parity": "Risk parity",
+  "max-diversification": "Max diversification",
+  hrp: "HRP",
+};
+
+const volsOf = (S) => S.map((r, i) => Math.sqrt(r[i]));
+const toCorrelation = (S, vols) => S.map((r, i) => r.map((v, j) => v / (vols[i] * vols[j])));
+const normalise = (w) => { const s = w.reduce((a, b) => a + b, 0); return w.map(x => x / s); };
+
+// Equal risk contribution: wᵢ(Sw)ᵢ the same for every asset. Cyclical coordinate descent on
+// ½ yᵀSy − Σ log(yᵢ)/N (Griveau-Billion, Richard & Roncalli 2013), then w = y / Σy.
+export function riskParityWeights(S, maxIter = 500, tol = 1e-10) {
+  const N = S.length, b = 1 / N;
+  const y = volsOf(S).map(v => 1 / v);
+  for (let iter = 0; iter < maxIter; iter++) {
+    let delta = 0;
+    for (let i = 0; i < N; i++) {
+      let off = 0;
+      for (let j = 0; j < N; j++) if (j !== i) off += S[i][j] * y[j];
+      const next = (-off + Math.sqrt(off * off + 4 * S[i][i] * b)) / (2 * S[i][i]);
+      delta = Math.max(delta, Math.abs(next - y[i]) / next);
+      y[i] = next;
+    }
+    if (delta < tol) break;
+  }
+  return normalise(y);
+}
+
+// Maximum diversification ratio wᵀσ / √(wᵀSw), long-only (Choueifaty & Coignard 2008): the long-only
+// minimum-variance portfolio of the correlation matrix, divided through by each asset's volatility
+export function maxDiversificationWeights(S) {
+  const vols = volsOf(S);
+  const { w, condition, ridge } = optimizePortfolio(toCorrelation(S, vols), { constraint: "long-only" });
+  return { w: normalise(w.map((x, i) => x / vols[i])), condition, ridge };
+}
+
+// Hierarchical risk parity (López de Prado 2016): order assets by single-linkage clustering, then split
+// the ordered list in halves recursively, sharing weight in inverse proportion to each half's variance
+export function hrpWeights(S) {
+  const order = clusterOrder(toCorrelation(S, volsOf(S)), "single");
+  const w = Array(S.length).fill(1);
+  const clusterVar = (items) => {
+    const ivp = normalise(items.map(i => 1 / S[i][i]));
+    let v = 0;
+    items.forEach((i, a) => items.forEach((j, b) => { v += ivp[a] * ivp[b] * S[i][j]; }));
+    return v;
+  };
+  const split = (items) => {
+    if (items.length < 2) return;
+    const left = items.slice(0, items.length >> 1), right = items.slice(items.length >> 1);
+    const vl = clusterVar(left), vr = clusterVar(right), alpha = 1 - vl / (vl + vr);
+    for (const i of left) w[i] *= alpha;
+    for (const i of right) w[i] *= 1 - alpha;
+    split(left);
+    split(right);
+  };
+  split(order);
+  return w;
+}
+
+// Weights for `portfolio.allocator`, with the condition number of the matrix it used and any ridge added
+export function allocate(S, portfolio, mu = null) {
+  const { allocator = "optimizer" } = portfolio;
+  if (allocator === "optimizer") return optimizePortfolio(S, portfolio, mu);
+  if (allocator === "max-diversification") return maxDiversificationWeights(S);
+  const { condition } = conditionGuard(S);
+  if (allocator === "risk-parity") return { w: riskParityWeights(S), condition, ridge: 0 };
+  if (allocator === "hrp") return { w: hrpWeights(S), condition, ridge: 0 };
+  throw new Error(`Unknown allocator: ${allocator}`);
+}
@@ -0,0 +1,27 @@
+import { estimateCorrelation, getEigenvalues, cleanMatrix, portVol, annualVols } from "./rmt.js";
+import { expectedReturns, riskMatrix, DEFAULT_PORTFOLIO } from "./optimize.js";
+import { allocate } from "./allocators.js";
+
+// ============================================================
+// ONE-SHOT ANALYSIS of a returns matrix X (T rows of N assets): the numbers the
+// explorer shows for uploaded data, without the scenario machinery around them
+// ============================================================
+export function analyzeReturns(X, { estimator = "pearson", method = "rie", portfolio = DEFAULT_PORTFOLIO } = {}) {
+  const T = X.length, N = X[0].length, q = N / T;
+  const lambdaPlus = (1 + Math.sqrt(q)) ** 2, lambdaMinus = (1 - Math.sqrt(q)) ** 2;
+  const C = estimateCorrelation(X, estimator);
+  const eigenvalues = getEigenvalues(C).reverse();
+  const { cleaned } = cleanMatrix(C, q, method, X, estimator);
+  const vols = annualVols(X);
+  const S = riskMatrix(C, vols, portfolio.risk), Sclean = riskMatrix(cleaned, vols, portfolio.risk);
+  const mu = expectedReturns(X, portfolio.risk);
+  const raw = allocate(S, portfolio, mu), clean = allocate(Sclean, portfolio, mu);
+  return {
+    N, T, q, lambdaPlus, lambdaMinus, eigenvalues,
+    signalCount: eigenvalues.filter(e => e > lambdaPlus).length,
+    correlation: C, cleaned, vols,
+    weights: { raw: raw.w, cleaned: clean.w },
+    risk: { raw: portVol(raw.w, S), cleaned: portVol(clean.w, Sclean) },
+    condition: raw.condition, ridge: raw.ridge,
+  };
+}
@@ -0,0 +1,75 @@
+import { estimateCorrelation, cleanMatrix, portVol, TRADING_DAYS } from "./rmt.js";
+import { expectedReturns, riskMatrix } from "./optimize.js";
+import { allocate } from "./allocators.js";
+
+// ============================================================
+// WALK-FORWARD BACKTEST
+// A rolling estimation window of W days steps through the history; at each
+// rebalance both portfolios are rebuilt and then held for `rebalance` days.
+// On the correlation scale returns are divided by each asset's volatility in the estimation
+// window, so predicted and realised risk are in the same units; in covariance mode both are
+// annualised volatilities of the actual returns.
+// ============================================================
+function columnStats(rows) {
+  const N = rows[0].length, m = Array(N).fill(0), s = Array(N).fill(0), n = Array(N).fill(0);
+  for (const r of rows) for (let j = 0; j < N; j++) if (Number.isFinite(r[j])) { m[j] += r[j]; n[j]++; }
+  for (let j = 0; j < N; j++) m[j] /= Math.max(1, n[j]);
+  for (const r of rows) for (let j = 0; j < N; j++) if (Number.isFinite(r[j])) s[j] += (r[j] - m[j]) ** 2;
+  return { m, sd: s.map((v, j) => Math.sqrt(v / Math.max(1, n[j]))) };
+}
+
+function std(xs) {
+  const m = xs.reduce((s, x) => s + x, 0) / xs.length;
+  return Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / xs.length);
+}
+
+function similarity(a, b) {
+  const dot = a.reduce((s, x, i) => s + x * b[i], 0);
+  return dot / Math.sqrt(a.reduce((s, x) => s + x * x, 0) * b.reduce((s, x) => s + x * x, 0));
+}
+
+// Generator: yields progress after every rebalance, returns { periods, summary }
+export function* walkForward(history, { window, rebalance, method, estimator = "pearson", portfolio }) {
+  const T = history.length, N = history[0].length;
+  const q = N / window, annual = portfolio.risk === "covariance";
+  if (window >= T - rebalance) throw new Error("The history is too short for this window and rebalance frequency");
+  const starts = [];
+  for (let t0 = window; t0 + rebalance <= T; t0 += rebalance) starts.push(t0);
+  const periods = [], daily = { raw: [], cleaned: [] };
+  let prev = null;
+  for (let k = 0; k < starts.length; k++) {
+    const t0 = starts[k];
+    const est = history.slice(t0 - window, t0), hold = history.slice(t0, t0 + rebalance);
+    const C = estimateCorrelation(est, estimator);
+    const { cleaned } = cleanMatrix(C, q, method, est, estimator);
+    const { sd } = columnStats(est);
+    const vols = sd.map(s => s * Math.sqrt(TRADING_DAYS));
+    const S = { raw: riskMatrix(C, vols, portfolio.risk), cleaned: riskMatrix(cleaned, vols, portfolio.risk) };
+    const unit = annual ? sd.map(() => 1 / Math.sqrt(TRADING_DAYS)) : sd;
+    const mu = expectedReturns(est, portfolio.risk);
+    const weights = { raw: allocate(S.raw, portfolio, mu).w, cleaned: allocate(S.cleaned, portfolio, mu).w };
+    const period = { period: k + 1, day: t0 };
+    for (const [key, w] of Object.entries(weights)) {
+      const rets = hold.map(r => r.reduce((s, x, j) => s + (Number.isFinite(x) && unit[j] > 0 ? (w[j] * x) / unit[j] : 0), 0));
+      daily[key].push(...rets);
+      const predicted = portVol(w, S[key]), realised = std(rets);
+      period[`${key}Predicted`] = predicted;
+      period[`${key}Realised`] = realised;
+      period[`${key}Ratio`] = realised > 0 ? predicted / realised : null;
+      period[`${key}Turnover`] = prev ? w.reduce((s, x, i) => s + Math.abs(x - prev[key][i]), 0) : null;
+      period[`${key}Stability`] = prev ? similarity(w, prev[key]) : null;
+    }
+    periods.push(period);
+    prev = weights;
+    yield { type: "progress", done: k + 1, total: starts.length };
+  }
+  const mean = (key) => { const xs = periods.map(p => p[key]).filter(x => x != null); return xs.reduce((s, x) => s + x, 0) / xs.length; };
+  const summary = Object.fromEntries(["raw", "cleaned"].map(key => [key, {
+    realised: std(daily[key]),
+    predicted: mean(`${key}Predicted`),
+    ratio: mean(`${key}Ratio`),
+    turnover: periods.length > 1 ? mean(`${key}Turnover`) : null,
+    stability: periods.length > 1 ? mean(`${key}Stability`) : null,
+  }]));
+  return { periods, summary, window, rebalance, days: T - window };
+}
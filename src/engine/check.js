@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+import assert from "node:assert/strict";
+import { corrMatrix, estimateCorrelation, cleanMatrix } from "./rmt.js";
+import { frobeniusDistance } from "./estimators.js";
+import { sampleScenario, computeScenario, DEFAULT_MARKET } from "./scenario.js";
+
+// ============================================================
+// CHECKS: regression checks on simulated markets, where the true correlations are known.
+// Run with `npm run check`; exits non-zero on the first failure.
+// ============================================================
+const SEEDS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// RIE is the default cleaning method, so it must at least beat not cleaning at all
+for (const q of [50 / 140, 0.7]) {
+  for (const seed of SEEDS) {
+    const { X, trueC } = sampleScenario({ ...DEFAULT_MARKET, seed }, q);
+    const C = corrMatrix(X);
+    const { cleaned } = cleanMatrix(C, q, "rie");
+    const raw = frobeniusDistance(C, trueC), rie = frobeniusDistance(cleaned, trueC);
+    assert.ok(rie < raw, `RIE is further from the truth than the raw matrix (seed ${seed}, q ${q.toFixed(2)}: ${rie.toFixed(2)} vs ${raw.toFixed(2)})`);
+  }
+}
+
+// Cross-validation has to re-estimate its folds with the chosen estimator, not fall back to Pearson
+{
+  const { X, q } = sampleScenario(DEFAULT_MARKET, 0.35);
+  const C = estimateCorrelation(X, "kendall");
+  const pearson = cleanMatrix(C, q, "cv", X, "pearson").cleaned, kendall = cleanMatrix(C, q, "cv", X, "kendall").cleaned;
+  const gap = Math.max(...pearson.flatMap((row, i) => row.map((v, j) => Math.abs(v - kendall[i][j]))));
+  assert.ok(gap > 1e-6, "Cross-validated cleaning ignored the Kendall estimator");
+}
+
+// Whole-number market fields must be rejected up front, not fail deep inside the simulation
+for (const field of ["N", "factors", "sectors", "seed"]) {
+  const scenario = { ...DEFAULT_MARKET, [field]: DEFAULT_MARKET[field] + 2.5, method: "rie" };
+  assert.throws(() => computeScenario(scenario, 0.35), new RegExp(`${field} must be a whole number`), `a fractional ${field} was accepted`);
+}
+
+console.log("All checks passed");
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { parseCsv, detectKind, toReturns, prepareDataset } from "./data.js";
+import { analyzeReturns } from "./analyze.js";
+import { ESTIMATORS, CLEANING_METHODS } from "./rmt.js";
+import { CONSTRAINTS, RISK_MODELS, DEFAULT_PORTFOLIO } from "./optimize.js";
+import { ALLOCATORS } from "./allocators.js";
+
+// ============================================================
+// CLI: cfm-rmt <returns.csv> [options]
+// Reads a CSV of prices or returns (dates as rows, tickers as columns) and writes the
+// spectrum, λ± edges, signal count, cleaned matrix and portfolio weights.
+// ============================================================
+const USAGE = `Usage: cfm-rmt <file.csv | -> [options]
+
+  --kind <auto|prices|returns>   What the file holds (default: auto)
+  --missing <pairwise|listwise>  Missing-value handling (default: pairwise)
+  --estimator <${Object.keys(ESTIMATORS).join("|")}>   (default: pearson)
+  --method <${Object.keys(CLEANING_METHODS).join("|")}>   Cleaning method (default: rie)
+  --allocator <${Object.keys(ALLOCATORS).join("|")}>   (default: optimizer)
+  --constraint <${Object.keys(CONSTRAINTS).join("|")}>   (default: unconstrained)
+  --cap <number>                 Per-asset cap for --constraint box (default: ${DEFAULT_PORTFOLIO.cap})
+  --risk <${Object.keys(RISK_MODELS).join("|")}>   Optimise on the correlation (unitless risk) or the
+                                 covariance (annualised risk, daily data) (default: correlation)
+  --format <json|csv>            Output format (default: json)
+  --out <path>                   JSON: file to write (default: stdout)
+                                 CSV: directory for spectrum.csv, cleaned.csv, weights.csv, summary.csv
+  -h, --help                     Show this message`;
+
+const csvRow = (cells) => cells.map(c => (/[",\n]/.test(String(c)) ? `"${String(c).replace(/"/g, '""')}"` : c)).join(",");
+const csv = (rows) => rows.map(csvRow).join("\n") + "\n";
+
+function choice(name, value, options) {
+  if (!Object.hasOwn(options, value)) throw new Error(`--${name} must be one of: ${Object.keys(options).join(", ")}`);
+  return value;
+}
+
+function main(argv) {
+  const { values: opts, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      kind: { type: "string", default: "auto" },
+      missing: { type: "string", default: "pairwise" },
+      estimator: { type: "string", default: "pearson" },
+      method: { type: "string", default: "rie" },
+      allocator: { type: "string", default: DEFAULT_PORTFOLIO.allocator },
+      constraint: { type: "string", default: DEFAULT_PORTFOLIO.constraint },
+      cap: { type: "string", default: String(DEFAULT_PORTFOLIO.cap) },
+      risk: { type: "string", default: DEFAULT_PORTFOLIO.risk },
+      format: { type: "string", default: "json" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (opts.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return opts.help ? 0 : 1;
+  }
+  const kind = choice("kind", opts.kind, { auto: 1, prices: 1, returns: 1 });
+  const missing = choice("missing", opts.missing, { pairwise: 1, listwise: 1 });
+  const format = choice("format", opts.format, { json: 1, csv: 1 });
+  const cap = Number(opts.cap);
+  if (!(cap > 0 && cap <= 1)) throw new Error("--cap must be in (0, 1]");
+  const portfolio = { ...DEFAULT_PORTFOLIO, allocator: choice("allocator", opts.allocator, ALLOCATORS), constraint: choice("constraint", opts.constraint, CONSTRAINTS), cap, risk: choice("risk", opts.risk, RISK_MODELS) };
+  const estimator = choice("estimator", opts.estimator, ESTIMATORS);
+  const method = choice("method", opts.method, CLEANING_METHODS);
+
+  const text = readFileSync(positionals[0] === "-" ? 0 : positionals[0], "utf8");
+  const parsed = parseCsv(text);
+  const dataset = prepareDataset(toReturns(parsed, kind === "auto" ? detectKind(parsed.values) : kind), { missing });
+  const result = analyzeReturns(dataset.X, { estimator, method, portfolio });
+  const { tickers } = dataset;
+
+  if (format === "json") {
+    const json = JSON.stringify({
+      tickers, dropped: dataset.dropped, start: dataset.dates[0], end: dataset.dates[dataset.T - 1],
+      estimator, method, portfolio: { allocator: portfolio.allocator, constraint: portfolio.constraint, cap: portfolio.cap, risk: portfolio.risk },
+      N: result.N, T: result.T, q: result.q,
+      lambdaMinus: result.lambdaMinus, lambdaPlus: result.lambdaPlus, signalCount: result.signalCount,
+      eigenvalues: result.eigenvalues,
+      cleaned: result.cleaned,
+      weights: tickers.map((t, i) => ({ ticker: t, vol: result.vols[i], raw: result.weights.raw[i], cleaned: result.weights.cleaned[i] })),
+      risk: result.risk,
+    }, null, 2);
+    if (opts.out) writeFileSync(opts.out, json + "\n");
+    else process.stdout.write(json + "\n");
+    return 0;
+  }
+
+  if (!opts.out) throw new Error("--format csv needs --out <directory>");
+  mkdirSync(opts.out, { recursive: true });
+  writeFileSync(join(opts.out, "spectrum.csv"), csv([["rank", "eigenvalue", "signal"], ...result.eigenvalues.map((e, k) => [k + 1, e, e > result.lambdaPlus ? 1 : 0])]));
+  writeFileSync(join(opts.out, "cleaned.csv"), csv([["", ...tickers], ...result.cleaned.map((r, i) => [tickers[i], ...r])]));
+  writeFileSync(join(opts.out, "weights.csv"), csv([["ticker", "vol", "raw", "cleaned"], ...tickers.map((t, i) => [t, result.vols[i], result.weights.raw[i], result.weights.cleaned[i]])]));
+  writeFileSync(join(opts.out, "summary.csv"), csv([
+    ["N", "T", "q", "lambda_minus", "lambda_plus", "signal_count", "risk_raw", "risk_cleaned"],
+    [result.N, result.T, result.q, result.lambdaMinus, result.lambdaPlus, result.signalCount, result.risk.raw, result.risk.cleaned],
+  ]));
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`cfm-rmt: ${err.message}`);
+  process.exitCode = 1;
+}
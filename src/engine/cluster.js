@@ -0,0 +1,39 @@
+// ============================================================
+// HIERARCHICAL CLUSTERING of assets by correlation distance d = sqrt((1 - ρ) / 2)
+// ============================================================
+export function correlationDistance(C) {
+  return C.map(r => r.map(v => Math.sqrt(Math.max(0, (1 - v) / 2))));
+}
+
+// Agglomerative clustering with Lance-Williams updates ("single" or "average" linkage).
+// Returns the merge tree as nested { left, right } nodes with leaves { index }.
+export function linkageTree(C, linkage = "average") {
+  const N = C.length;
+  const D = correlationDistance(C);
+  const nodes = Array.from({ length: N }, (_, i) => ({ index: i, size: 1 }));
+  const active = Array.from({ length: N }, (_, i) => i);
+  while (active.length > 1) {
+    let best = Infinity, bi = 0, bj = 1;
+    for (let a = 0; a < active.length; a++) for (let b = a + 1; b < active.length; b++) {
+      const d = D[active[a]][active[b]];
+      if (d < best) { best = d; bi = a; bj = b; }
+    }
+    const i = active[bi], j = active[bj];
+    const ni = nodes[i].size, nj = nodes[j].size;
+    for (const k of active) {
+      if (k === i || k === j) continue;
+      D[i][k] = D[k][i] = linkage === "single" ? Math.min(D[i][k], D[j][k]) : (ni * D[i][k] + nj * D[j][k]) / (ni + nj);
+    }
+    nodes[i] = { left: nodes[i], right: nodes[j], height: best, size: ni + nj };
+    active.splice(bj, 1);
+  }
+  return nodes[active[0]];
+}
+
+// Leaf order of the dendrogram: correlated assets end up next to each other
+export function clusterOrder(C, linkage = "average") {
+  const order = [];
+  const walk = (node) => { if (node.left) { walk(node.left); walk(node.right); } else order.push(node.index); };
+  walk(linkageTree(C, linkage));
+  return order;
+}
@@ -0,0 +1,99 @@
+// ============================================================
+// USER DATA: CSV of prices or returns, dates as rows, tickers as columns
+// ============================================================
+const MISSING = new Set(["", "na", "n/a", "#n/a", "nan", "null", "-"]);
+
+function splitLine(line, delim) {
+  const cells = []; let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) { cells.push(cur.trim()); cur = ""; }
+    else cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== "");
+  if (lines.length < 3) throw new Error("The file needs a header row and at least two rows of data");
+  const delim = [",", ";", "\t"].reduce((best, d) => (lines[0].split(d).length > lines[0].split(best).length ? d : best), ",");
+  const header = splitLine(lines[0], delim);
+  if (header.length < 3) throw new Error("Expected a date column followed by at least two tickers");
+  const tickers = header.slice(1).map((t, j) => t || `Asset ${j + 1}`);
+  const dates = [], values = [];
+  lines.slice(1).forEach((line, r) => {
+    const cells = splitLine(line, delim);
+    if (cells.length !== header.length) throw new Error(`Row ${r + 2} has ${cells.length} columns, expected ${header.length}`);
+    dates.push(cells[0]);
+    values.push(cells.slice(1).map(c => {
+      if (MISSING.has(c.toLowerCase())) return NaN;
+      const v = Number(c.replace(/%$/, ""));
+      if (Number.isNaN(v)) throw new Error(`Row ${r + 2}: "${c}" is not a number`);
+      return c.endsWith("%") ? v / 100 : v;
+    }));
+  });
+  // Many exports list the newest date first
+  const first = Date.parse(dates[0]), last = Date.parse(dates[dates.length - 1]);
+  if (!Number.isNaN(first) && !Number.isNaN(last) && first > last) { dates.reverse(); values.reverse(); }
+  return { tickers, dates, values };
+}
+
+// Prices are strictly positive and sit well away from zero; returns do not
+export function detectKind(values) {
+  const finite = values.flat().filter(Number.isFinite);
+  const meanAbs = finite.reduce((s, v) => s + Math.abs(v), 0) / Math.max(1, finite.length);
+  return finite.every(v => v > 0) && meanAbs > 0.5 ? "prices" : "returns";
+}
+
+// Log returns; a return is missing whenever either end of it is
+export function toReturns({ tickers, dates, values }, kind) {
+  if (kind === "returns") return { tickers, dates, values };
+  return {
+    tickers,
+    dates: dates.slice(1),
+    values: values.slice(1).map((row, t) => row.map((p, j) => {
+      const p0 = values[t][j];
+      return p > 0 && p0 > 0 ? Math.log(p / p0) : NaN;
+    })),
+  };
+}
+
+let datasetCount = 0;
+
+// Returns for the chosen date window (inclusive indices into the return dates),
+// plus everything after it as the out-of-sample period. Listwise deletion drops
+// any date with a missing value; pairwise keeps them as NaN for corrMatrix.
+export function prepareDataset(returns, { missing = "pairwise", start = 0, end = returns.dates.length - 1 } = {}) {
+  const inWindow = returns.values.slice(start, end + 1);
+  const keep = returns.tickers.map((_, j) => {
+    const col = inWindow.map(r => r[j]).filter(Number.isFinite);
+    return col.length >= 3 && col.some(v => v !== col[0]);
+  });
+  const pick = row => row.filter((_, j) => keep[j]);
+  let rows = returns.values.map((r, t) => ({ date: returns.dates[t], t, r: pick(r) }));
+  if (missing === "listwise") rows = rows.filter(row => row.r.every(Number.isFinite));
+  const window = rows.filter(row => row.t >= start && row.t <= end);
+  const tickers = returns.tickers.filter((_, j) => keep[j]);
+  if (tickers.length < 2) throw new Error("Fewer than two assets have usable data in this window");
+  if (window.length <= 2) throw new Error("Not enough dates left in this window");
+  // At q = N/T ≥ 1 the sample matrix is singular: cleaning leaves zero eigenvalues and Tyler's estimator can't run
+  if (window.length <= tickers.length) {
+    throw new Error(`${window.length} dates for ${tickers.length} assets: the window needs more dates than assets (q = N/T below 1)`);
+  }
+  return {
+    id: `data-${++datasetCount}`,
+    tickers,
+    dropped: returns.tickers.filter((_, j) => !keep[j]),
+    dates: window.map(row => row.date),
+    X: window.map(row => row.r),
+    Xoos: rows.filter(row => row.t > end).map(row => row.r),
+    N: tickers.length,
+    T: window.length,
+  };
+}
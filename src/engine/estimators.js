@@ -0,0 +1,61 @@
+import { corrMatrix, getEigenvectors } from "./rmt.js";
+
+// ============================================================
+// ALTERNATIVE ESTIMATORS: the usual answers to "how do you deal with noise?"
+// All return correlation matrices built from the same returns X.
+// ============================================================
+function standardize(X) {
+  const T = X.length, N = X[0].length;
+  const m = Array(N).fill(0), s = Array(N).fill(0);
+  for (const r of X) for (let j = 0; j < N; j++) m[j] += r[j] / T;
+  for (const r of X) for (let j = 0; j < N; j++) s[j] += (r[j] - m[j]) ** 2 / T;
+  return X.map(r => r.map((v, j) => (v - m[j]) / Math.sqrt(s[j])));
+}
+
+// Ledoit-Wolf (2004) linear shrinkage of the sample correlation towards the identity,
+// with the optimal intensity estimated from the data
+export function ledoitWolf(X) {
+  const Z = standardize(X.filter(r => r.every(Number.isFinite)));
+  const T = Z.length, N = Z[0].length;
+  const S = corrMatrix(Z);
+  let d2 = 0;
+  for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) d2 += (S[i][j] - (i === j ? 1 : 0)) ** 2;
+  let b2 = 0;
+  for (const z of Z) for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) b2 += (z[i] * z[j] - S[i][j]) ** 2;
+  b2 /= T * T;
+  const shrinkage = d2 > 0 ? Math.min(b2, d2) / d2 : 1;
+  return { C: S.map((r, i) => r.map((v, j) => (1 - shrinkage) * v + (i === j ? shrinkage : 0))), shrinkage };
+}
+
+// Exponentially weighted correlation: weight halves every `halfLife` days back from the most recent
+export function ewmaCorr(X, halfLife) {
+  const rows = X.filter(r => r.every(Number.isFinite)), T = rows.length, N = rows[0].length;
+  const lambda = 0.5 ** (1 / halfLife);
+  const w = rows.map((_, t) => lambda ** (T - 1 - t)), W = w.reduce((a, b) => a + b, 0);
+  const m = Array(N).fill(0);
+  rows.forEach((r, t) => { for (let j = 0; j < N; j++) m[j] += (w[t] * r[j]) / W; });
+  const S = Array.from({ length: N }, () => Array(N).fill(0));
+  rows.forEach((r, t) => { for (let i = 0; i < N; i++) for (let j = 0; j <= i; j++) S[i][j] += (w[t] * (r[i] - m[i]) * (r[j] - m[j])) / W; });
+  return Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i >= j ? S[i][j] : S[j][i]) / Math.sqrt(S[i][i] * S[j][j])));
+}
+
+// Sample correlation over only the most recent `window` days
+export function truncatedCorr(X, window) {
+  return corrMatrix(X.slice(-Math.max(2, Math.min(window, X.length))));
+}
+
+// Statistical factor model: the top k principal components plus a diagonal residual
+// that restores the unit diagonal
+export function factorModelCorr(C, k) {
+  const N = C.length, top = getEigenvectors(C).slice(-Math.max(1, k));
+  const F = Array.from({ length: N }, () => Array(N).fill(0));
+  for (const { eigenvalue, vector } of top) for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) F[i][j] += eigenvalue * vector[i] * vector[j];
+  for (let i = 0; i < N; i++) F[i][i] = 1;
+  return F;
+}
+
+export function frobeniusDistance(A, B) {
+  let s = 0;
+  for (let i = 0; i < A.length; i++) for (let j = 0; j < A.length; j++) s += (A[i][j] - B[i][j]) ** 2;
+  return Math.sqrt(s);
+}
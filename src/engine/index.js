@@ -0,0 +1,32 @@
+// ============================================================
+// PUBLIC API of the engine package. Everything here is plain ES modules with no
+// browser or React dependencies; see README.md in this directory.
+// ============================================================
+
+// Simulation
+export { mulberry32, gaussianRandom, generateData, drawReturns, trueCorrelation, assetVolatilities, GARCH, TRADING_DAYS } from "./rmt.js";
+export { REGIMES, regimeShift, periodTruth } from "./regimes.js";
+
+// Correlation estimation
+export {
+  corrMatrix, kendallCorrMatrix, spearmanCorrMatrix, tylerCorrMatrix, ESTIMATORS, estimateCorrelation,
+} from "./rmt.js";
+export { ledoitWolf, ewmaCorr, truncatedCorr, factorModelCorr, frobeniusDistance } from "./estimators.js";
+
+// Spectrum and cleaning
+export { symmetricEigen, getEigenvectors, getEigenvalues, marchenkoPastur, CLEANING_METHODS, cleanMatrix } from "./rmt.js";
+
+// Portfolios
+export { portVol, annualVols, covariance } from "./rmt.js";
+export {
+  CONSTRAINTS, OBJECTIVES, RISK_MODELS, DEFAULT_PORTFOLIO, optimizePortfolio, minVarWeights, expectedReturns, riskMatrix,
+  conditionGuard,
+} from "./optimize.js";
+export { clusterOrder, linkageTree } from "./cluster.js";
+export { ALLOCATORS, allocate, riskParityWeights, maxDiversificationWeights, hrpWeights } from "./allocators.js";
+export { walkForward } from "./backtest.js";
+export { HORIZONS, RISK_MEASURES, normalQuantile, lossMultiple, horizonVol, moneyAtRisk } from "./risk.js";
+
+// Data
+export { parseCsv, detectKind, toReturns, prepareDataset } from "./data.js";
+export { analyzeReturns } from "./analyze.js";
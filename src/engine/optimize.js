@@ -0,0 +1,143 @@
+import { cholesky, symmetricEigen, covariance, TRADING_DAYS } from "./rmt.js";
+
+// ============================================================
+// PORTFOLIO OPTIMISER
+// Solves  min ½ wᵀCw − cᵀw  s.t.  Σw = 1,  lower ≤ w ≤ upper
+// with c = 0 for minimum variance and c = μ/γ for mean-variance.
+// ============================================================
+
+// Beyond this condition number the raw sample matrix is treated as singular and a
+// ridge is added to bring it back to MAX_CONDITION
+export const MAX_CONDITION = 1e8;
+
+export const CONSTRAINTS = {
+  unconstrained: "Unconstrained",
+  "long-only": "Long-only",
+  box: "Long-only with cap",
+};
+
+export const OBJECTIVES = {
+  "min-variance": "Minimum variance",
+  "mean-variance": "Mean-variance",
+};
+
+// What the optimiser and the risk figures run on: the correlation matrix, where every asset has unit
+// volatility and risk is unitless, or the covariance with each asset's annualised volatility
+// re-attached to the (cleaned) correlation, where risk is annualised volatility
+export const RISK_MODELS = {
+  correlation: "Correlation",
+  covariance: "Covariance",
+};
+
+export const DEFAULT_PORTFOLIO = {
+  allocator: "optimizer", constraint: "unconstrained", cap: 0.1, objective: "min-variance", riskAversion: 10, risk: "correlation",
+};
+
+// The expected-return vector the mean-variance objective uses: per-asset mean over volatility
+// on the correlation scale, or the annualised mean for the covariance
+export function expectedReturns(X, risk = "correlation") {
+  const N = X[0].length;
+  return Array.from({ length: N }, (_, j) => {
+    const col = X.map(r => r[j]).filter(Number.isFinite);
+    const m = col.reduce((s, v) => s + v, 0) / col.length;
+    if (risk === "covariance") return m * TRADING_DAYS;
+    const sd = Math.sqrt(col.reduce((s, v) => s + (v - m) ** 2, 0) / col.length);
+    return sd > 0 ? m / sd : 0;
+  });
+}
+
+// The matrix a portfolio is optimised and scored on, from a correlation matrix and annual volatilities
+export function riskMatrix(C, vols, risk = "correlation") {
+  return risk === "covariance" ? covariance(C, vols) : C;
+}
+
+function solveSPD(A, b) {
+  const L = cholesky(A), n = b.length, y = Array(n), x = Array(n);
+  for (let i = 0; i < n; i++) { let v = b[i]; for (let k = 0; k < i; k++) v -= L[i][k] * y[k]; y[i] = v / L[i][i]; }
+  for (let i = n - 1; i >= 0; i--) { let v = y[i]; for (let k = i + 1; k < n; k++) v -= L[k][i] * x[k]; x[i] = v / L[i][i]; }
+  return x;
+}
+
+// Adds the smallest ridge δ·I that keeps λmax/λmin under MAX_CONDITION
+export function conditionGuard(C) {
+  const { values } = symmetricEigen(C);
+  const lmin = values[0], lmax = values[values.length - 1];
+  const condition = lmin > 0 ? lmax / lmin : Infinity;
+  const ridge = condition > MAX_CONDITION ? lmax / MAX_CONDITION - lmin : 0;
+  const Q = ridge > 0 ? C.map((r, i) => r.map((v, j) => v + (i === j ? ridge : 0))) : C;
+  return { Q, condition, ridge };
+}
+
+// Equality-constrained step on the free set: Q_FF p = ν·1 − g_F with Σp = 0
+function freeStep(Q, g, F) {
+  const QF = F.map(i => F.map(j => Q[i][j]));
+  const a = solveSPD(QF, F.map(() => 1)), b = solveSPD(QF, F.map(i => g[i]));
+  const nu = b.reduce((s, x) => s + x, 0) / a.reduce((s, x) => s + x, 0);
+  return { p: F.map((_, k) => nu * a[k] - b[k]), nu };
+}
+
+function feasibleStart(lower, upper) {
+  const n = lower.length, w = [...lower];
+  let left = 1 - w.reduce((s, x) => s + x, 0);
+  if (left < -1e-12 || upper.reduce((s, x) => s + x, 0) < 1 - 1e-12) throw new Error("Constraints leave no fully invested portfolio");
+  // Fill evenly, capping at the upper bounds, until the budget is spent
+  for (let pass = 0; pass < n && left > 1e-15; pass++) {
+    const open = w.map((x, i) => i).filter(i => upper[i] - w[i] > 1e-15);
+    const share = left / open.length;
+    for (const i of open) { const add = Math.min(share, upper[i] - w[i]); w[i] += add; left -= add; }
+  }
+  return w;
+}
+
+// Primal active-set method for box constraints plus the budget constraint
+function activeSetQP(Q, c, lower, upper) {
+  const n = Q.length, tol = 1e-10;
+  const w = feasibleStart(lower, upper);
+  const state = Array(n).fill(0); // 0 free, -1 at lower bound, +1 at upper bound
+  for (let iter = 0; iter < 20 * n + 100; iter++) {
+    const g = Q.map((r, i) => r.reduce((s, v, j) => s + v * w[j], 0) - c[i]);
+    const F = state.map((st, i) => i).filter(i => state[i] === 0);
+    const { p, nu } = F.length > 0 ? freeStep(Q, g, F) : { p: [], nu: state.reduce((s, st, i) => s + (st ? g[i] : 0), 0) / n };
+    if (p.every(x => Math.abs(x) < tol)) {
+      // Stationary on the working set: release the bound with the most wrongly signed multiplier
+      let worst = -1, worstVal = tol;
+      state.forEach((st, i) => {
+        const mult = (g[i] - nu) * st;
+        if (st !== 0 && mult > worstVal) { worst = i; worstVal = mult; }
+      });
+      if (worst < 0) return w;
+      state[worst] = 0;
+      continue;
+    }
+    let alpha = 1, block = -1, side = 0;
+    F.forEach((i, k) => {
+      if (p[k] < -tol) { const a = (lower[i] - w[i]) / p[k]; if (a < alpha) { alpha = a; block = i; side = -1; } }
+      else if (p[k] > tol) { const a = (upper[i] - w[i]) / p[k]; if (a < alpha) { alpha = a; block = i; side = 1; } }
+    });
+    F.forEach((i, k) => { w[i] += alpha * p[k]; });
+    if (block >= 0) { state[block] = side; w[block] = side < 0 ? lower[block] : upper[block]; }
+  }
+  throw new Error("Portfolio optimiser did not converge");
+}
+
+// `mu` is the expected-return vector, only used by the mean-variance objective
+export function optimizePortfolio(C, { constraint = "unconstrained", cap = 0.1, objective = "min-variance", riskAversion = 10 } = {}, mu = null) {
+  const n = C.length;
+  const { Q, condition, ridge } = conditionGuard(C);
+  const c = objective === "mean-variance" && mu ? mu.map(m => m / riskAversion) : Array(n).fill(0);
+  let w;
+  if (constraint === "unconstrained") {
+    // Closed form: w = Q⁻¹(c + ν1), with ν fixing the budget
+    const a = solveSPD(Q, Array(n).fill(1)), b = solveSPD(Q, c);
+    const nu = (1 - b.reduce((s, x) => s + x, 0)) / a.reduce((s, x) => s + x, 0);
+    w = a.map((x, i) => b[i] + nu * x);
+  } else {
+    const upperBound = constraint === "box" ? Math.max(cap, 1 / n) : 1;
+    w = activeSetQP(Q, c, Array(n).fill(0), Array(n).fill(upperBound));
+  }
+  return { w, condition, ridge };
+}
+
+export function minVarWeights(C, portfolio) {
+  return optimizePortfolio(C, { ...portfolio, objective: "min-variance" }).w;
+}
@@ -0,0 +1,44 @@
+// ============================================================
+// NON-STATIONARY MARKETS: factor loadings that change over time, so the correlations
+// measured in one window needn't hold in the next. A path maps the day to that day's
+// loadings; factor variances are folded into the loadings.
+// ============================================================
+export const REGIMES = {
+  stationary: "Stationary",
+  "loading-break": "Break in loadings",
+  "variance-break": "Break in factor variance",
+  drift: "Drifting loadings",
+};
+
+// Builds the `shift` generateData takes. A loadings break mixes each asset's exposures with another asset's
+// (weight `change`) from `breakDay` on; a variance break multiplies every factor's variance by 1 + 4·change;
+// drift rotates the loadings towards the reshuffled ones by up to `change`·90° over `days`.
+export function regimeShift(regime, { change, breakDay, days, rng }) {
+  if (regime === "stationary") return null;
+  if (!Object.hasOwn(REGIMES, regime)) throw new Error(`Unknown regime: ${regime}`);
+  return (loadings) => {
+    const perm = loadings.map((_, i) => i);
+    for (let i = perm.length - 1; i > 0; i--) { const k = Math.floor(rng() * (i + 1)); [perm[i], perm[k]] = [perm[k], perm[i]]; }
+    const mix = (angle) => loadings.map((row, j) => row.map((l, f) => Math.cos(angle) * l + Math.sin(angle) * loadings[perm[j]][f]));
+    if (regime === "drift") return (t) => mix((change * Math.PI / 2) * Math.min(1, t / days));
+    const after = regime === "loading-break"
+      ? mix(Math.asin(change))
+      : loadings.map(row => row.map(l => l * Math.sqrt(1 + 4 * change)));
+    return (t) => (t < breakDay ? loadings : after);
+  };
+}
+
+// Population covariance of the factor model averaged over days [from, to), as a correlation matrix and each
+// asset's volatility relative to day 0 (the day generateData's vols refer to)
+export function periodTruth(path, loadings, from, to) {
+  const N = loadings.length, cov = Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i === j ? 1 : 0)));
+  for (let t = from; t < to; t++) {
+    const L = path(t);
+    for (let i = 0; i < N; i++) for (let j = 0; j <= i; j++) cov[i][j] += L[i].reduce((s, l, f) => s + l * L[j][f], 0) / (to - from);
+  }
+  for (let i = 0; i < N; i++) for (let j = 0; j < i; j++) cov[j][i] = cov[i][j];
+  return {
+    C: cov.map((r, i) => r.map((c, j) => c / Math.sqrt(cov[i][i] * cov[j][j]))),
+    volScale: loadings.map((l, j) => Math.sqrt(cov[j][j] / (1 + l.reduce((s, x) => s + x * x, 0)))),
+  };
+}
@@ -0,0 +1,49 @@
+// ============================================================
+// MONEY AT RISK: turns a portfolio volatility measured on a correlation matrix (units
+// of one asset's volatility) into a loss in currency over a horizon, assuming every asset
+// has the same annual volatility and returns are Gaussian and independent over time
+// ============================================================
+export const HORIZONS = {
+  daily: { label: "Daily", period: "day", perYear: 252 },
+  monthly: { label: "Monthly", period: "month", perYear: 12 },
+  annual: { label: "Annual", period: "year", perYear: 1 },
+};
+
+export const RISK_MEASURES = {
+  var: "Value at Risk",
+  es: "Expected shortfall",
+};
+
+export const DEFAULT_RISK_VIEW = {
+  aum: 500, currency: "USD", locale: "en-US", horizon: "monthly", measure: "var", confidence: 0.99, assetVol: 0.2,
+};
+
+// Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+export function normalQuantile(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5, r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Loss multiple of σ: z for VaR, φ(z) / (1 − confidence) for expected shortfall
+export function lossMultiple(measure, confidence) {
+  const z = normalQuantile(confidence);
+  return measure === "es" ? Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) / (1 - confidence) : z;
+}
+
+// Horizon volatility of the portfolio as a fraction of AUM
+export function horizonVol(corrVol, { assetVol, horizon }) {
+  return corrVol * assetVol / Math.sqrt(HORIZONS[horizon].perYear);
+}
+
+// Loss in currency units; aum is in millions
+export function moneyAtRisk(corrVol, { aum, assetVol, horizon, measure, confidence }) {
+  if (corrVol == null) return null;
+  return aum * 1e6 * lossMultiple(measure, confidence) * horizonVol(corrVol, { assetVol, horizon });
+}
@@ -0,0 +1,497 @@
+// ============================================================
+// MATH (random-matrix engine, shared by the UI and the worker)
+// ============================================================
+export function mulberry32(seed) {
+  return function () {
+    let t = (seed += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function gaussianRandom(rng) {
+  let u, v, s;
+  do { u = 2 * rng() - 1; v = 2 * rng() - 1; s = u * u + v * v; } while (s >= 1 || s === 0);
+  return u * Math.sqrt((-2 * Math.log(s)) / s);
+}
+
+function gaussianMatrix(rows, cols, rng) {
+  const M = [];
+  for (let i = 0; i < rows; i++) { M[i] = []; for (let j = 0; j < cols; j++) M[i][j] = gaussianRandom(rng); }
+  return M;
+}
+
+// Marsaglia-Tsang gamma(shape, 1) sampler; shape < 1 via the usual U^(1/shape) boost
+function gammaRandom(shape, rng) {
+  if (shape < 1) return gammaRandom(shape + 1, rng) * rng() ** (1 / shape);
+  const d = shape - 1 / 3, c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do { x = gaussianRandom(rng); v = 1 + c * x; } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+// Student-t with df > 2 degrees of freedom, rescaled to unit variance
+function studentRandom(df, rng) {
+  const z = gaussianRandom(rng), chi2 = 2 * gammaRandom(df / 2, rng);
+  return z / Math.sqrt(chi2 / df) * Math.sqrt((df - 2) / df);
+}
+
+export const GARCH = { alpha: 0.08, beta: 0.9 };
+
+// Unit-variance innovations: Gaussian or Student-t, optionally run through a GARCH(1,1)
+// filter per column (ω = 1 − α − β keeps the unconditional variance at 1, so the
+// population correlation of the factor model is unchanged)
+function innovations(rows, cols, rng, { tails = "gaussian", df = 4, garch = false } = {}) {
+  const M = tails === "student"
+    ? Array.from({ length: rows }, () => Array.from({ length: cols }, () => studentRandom(df, rng)))
+    : gaussianMatrix(rows, cols, rng);
+  if (!garch) return M;
+  const { alpha, beta } = GARCH, omega = 1 - alpha - beta;
+  for (let j = 0; j < cols; j++) {
+    let h = 1, prev = 0;
+    for (let t = 0; t < rows; t++) {
+      h = t === 0 ? 1 : omega + alpha * prev * prev + beta * h;
+      M[t][j] *= Math.sqrt(h);
+      prev = M[t][j];
+    }
+  }
+  return M;
+}
+
+// x_t = noise_t + loadings · factors_t, with the loadings of day start + t when a `path` is given
+function applyFactors(noise, factors, loadings, path = null, start = 0) {
+  const T = noise.length, N = loadings.length, numF = loadings[0].length;
+  for (let t = 0; t < T; t++) {
+    const L = path ? path(start + t) : loadings;
+    for (let j = 0; j < N; j++) for (let f = 0; f < numF; f++) noise[t][j] += L[j][f] * factors[t][f];
+  }
+  return noise;
+}
+
+// Population correlation of the factor model: identity + loadings·loadingsᵀ, rescaled to unit diagonal
+export function trueCorrelation(loadings) {
+  const N = loadings.length;
+  const cov = Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i === j ? 1 : 0) + loadings[i].reduce((s, l, f) => s + l * loadings[j][f], 0)));
+  return cov.map((r, i) => r.map((c, j) => c / Math.sqrt(cov[i][i] * cov[j][j])));
+}
+
+// Factor loadings. Unstructured: every asset loads on every factor with N(0, strength²).
+// Sector blocks: a market factor plus one factor per sector, assets split into contiguous blocks.
+function factorLoadings(N, rng, { factors, strength, sectors }) {
+  if (!sectors) return Array.from({ length: N }, () => Array.from({ length: factors }, () => gaussianRandom(rng) * strength));
+  const jitter = () => strength * Math.abs(1 + 0.3 * gaussianRandom(rng));
+  return Array.from({ length: N }, (_, j) => {
+    const row = Array(1 + sectors).fill(0);
+    row[0] = jitter();
+    row[1 + Math.floor((j * sectors) / N)] = jitter();
+    return row;
+  });
+}
+
+export const TRADING_DAYS = 252;
+
+// Annual volatilities for a simulated market: lognormal around `median`, so the most
+// volatile assets swing several times as much as the quietest
+export function assetVolatilities(N, rng, { median = 0.25, dispersion = 0.4 } = {}) {
+  return Array.from({ length: N }, () => median * Math.exp(dispersion * gaussianRandom(rng)));
+}
+
+// Rescales each asset's factor-model returns (variance 1 + |loadings|²) to daily returns
+// with annual volatility vols[j]
+function applyVols(X, loadings, vols) {
+  if (!vols) return X;
+  const scale = loadings.map((l, j) => vols[j] / Math.sqrt(TRADING_DAYS * (1 + l.reduce((s, x) => s + x * x, 0))));
+  for (const r of X) for (let j = 0; j < r.length; j++) r[j] *= scale[j];
+  return X;
+}
+
+// `vols` (annual, one per asset) gives the returns real units; without it every asset has variance 1 + |loadings|².
+// `shift(loadings)`, for a market that isn't stationary, returns the loadings as a function of the day; trueC and
+// vols then describe day 0.
+export function generateData(T, N, rng, { factors = 3, strength = 0.6, sectors = 0, vols = null, shift = null, ...dist } = {}) {
+  const noise = innovations(T, N, rng, dist);
+  const numF = sectors ? 1 + sectors : factors;
+  const factorReturns = innovations(T, numF, rng, dist);
+  const loadings = factorLoadings(N, rng, { factors: numF, strength, sectors });
+  const path = shift ? shift(loadings) : null;
+  return { X: applyVols(applyFactors(noise, factorReturns, loadings, path), loadings, vols), trueC: trueCorrelation(loadings), loadings, path };
+}
+
+// Fresh draw from the same factor model, e.g. the out-of-sample period; with a `path`, days are counted from `start`
+export function drawReturns(T, loadings, rng, { vols = null, path = null, start = 0, ...dist } = {}) {
+  const noise = innovations(T, loadings.length, rng, dist);
+  return applyVols(applyFactors(noise, innovations(T, loadings[0].length, rng, dist), loadings, path, start), loadings, vols);
+}
+
+// Missing observations (NaN) are handled pairwise: each entry uses the dates both assets share
+export function corrMatrix(X) {
+  if (X.some(row => row.some(Number.isNaN))) return pairwiseCorrMatrix(X);
+  const T = X.length, N = X[0].length;
+  const m = Array(N).fill(0), s = Array(N).fill(0);
+  for (let j = 0; j < N; j++) { for (let i = 0; i < T; i++) m[j] += X[i][j]; m[j] /= T; for (let i = 0; i < T; i++) s[j] += (X[i][j] - m[j]) ** 2; s[j] = Math.sqrt(s[j] / T); }
+  const C = Array.from({ length: N }, () => Array(N).fill(0));
+  for (let i = 0; i < N; i++) for (let j = i; j < N; j++) { let sum = 0; for (let t = 0; t < T; t++) sum += ((X[t][i] - m[i]) / s[i]) * ((X[t][j] - m[j]) / s[j]); C[i][j] = sum / T; C[j][i] = C[i][j]; }
+  return C;
+}
+
+function pairwiseCorrMatrix(X) {
+  const T = X.length, N = X[0].length;
+  const C = Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i === j ? 1 : 0)));
+  for (let i = 0; i < N; i++) for (let j = i + 1; j < N; j++) {
+    let n = 0, mi = 0, mj = 0;
+    for (let t = 0; t < T; t++) if (!Number.isNaN(X[t][i]) && !Number.isNaN(X[t][j])) { n++; mi += X[t][i]; mj += X[t][j]; }
+    if (n < 2) continue;
+    mi /= n; mj /= n;
+    let sij = 0, sii = 0, sjj = 0;
+    for (let t = 0; t < T; t++) {
+      if (Number.isNaN(X[t][i]) || Number.isNaN(X[t][j])) continue;
+      const a = X[t][i] - mi, b = X[t][j] - mj;
+      sij += a * b; sii += a * a; sjj += b * b;
+    }
+    C[i][j] = C[j][i] = sii > 0 && sjj > 0 ? sij / Math.sqrt(sii * sjj) : 0;
+  }
+  return C;
+}
+
+// Lower-triangular L with A = L·Lᵀ; throws if A is not positive definite
+export function cholesky(A) {
+  const n = A.length, L = Array.from({ length: n }, () => Array(n).fill(0));
+  for (let i = 0; i < n; i++) for (let j = 0; j <= i; j++) {
+    let sum = A[i][j];
+    for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+    if (i === j) {
+      if (sum <= 0) throw new Error("Matrix is not positive definite");
+      L[i][i] = Math.sqrt(sum);
+    } else L[i][j] = sum / L[j][j];
+  }
+  return L;
+}
+
+// Kendall's tau-b in O(T log T) (Knight's algorithm): sort by x, count the swaps a merge sort needs on y
+function kendallTau(x, y) {
+  const n = x.length, idx = x.map((_, i) => i).sort((a, b) => x[a] - x[b] || y[a] - y[b]);
+  let n1 = 0, n3 = 0;
+  for (let i = 0; i < n;) {
+    let j = i + 1;
+    while (j < n && x[idx[j]] === x[idx[i]]) j++;
+    n1 += ((j - i) * (j - i - 1)) / 2;
+    for (let k = i; k < j;) { let l = k + 1; while (l < j && y[idx[l]] === y[idx[k]]) l++; n3 += ((l - k) * (l - k - 1)) / 2; k = l; }
+    i = j;
+  }
+  let ys = idx.map(i => y[i]), swaps = 0, buf = Array(n);
+  for (let width = 1; width < n; width *= 2) {
+    for (let lo = 0; lo < n; lo += 2 * width) {
+      const mid = Math.min(lo + width, n), hi = Math.min(lo + 2 * width, n);
+      let i = lo, j = mid, k = lo;
+      while (i < mid && j < hi) { if (ys[j] < ys[i]) { swaps += mid - i; buf[k++] = ys[j++]; } else buf[k++] = ys[i++]; }
+      while (i < mid) buf[k++] = ys[i++];
+      while (j < hi) buf[k++] = ys[j++];
+    }
+    [ys, buf] = [buf, ys];
+  }
+  let n2 = 0;
+  for (let i = 0; i < n;) { let j = i + 1; while (j < n && ys[j] === ys[i]) j++; n2 += ((j - i) * (j - i - 1)) / 2; i = j; }
+  const n0 = (n * (n - 1)) / 2, denom = Math.sqrt((n0 - n1) * (n0 - n2));
+  return denom > 0 ? (n0 - n1 - n2 + n3 - 2 * swaps) / denom : 0;
+}
+
+// Kendall's tau mapped to a Pearson-consistent correlation via sin(πτ/2) (exact for elliptical laws)
+export function kendallCorrMatrix(X) {
+  const T = X.length, N = X[0].length;
+  const C = Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i === j ? 1 : 0)));
+  for (let i = 0; i < N; i++) for (let j = i + 1; j < N; j++) {
+    const x = [], y = [];
+    for (let t = 0; t < T; t++) if (!Number.isNaN(X[t][i]) && !Number.isNaN(X[t][j])) { x.push(X[t][i]); y.push(X[t][j]); }
+    C[i][j] = C[j][i] = x.length > 1 ? Math.sin((Math.PI / 2) * kendallTau(x, y)) : 0;
+  }
+  return C;
+}
+
+function ranks(col) {
+  const idx = col.map((_, i) => i).filter(i => !Number.isNaN(col[i])).sort((a, b) => col[a] - col[b]);
+  const r = col.map(() => NaN);
+  for (let i = 0; i < idx.length;) {
+    let j = i + 1;
+    while (j < idx.length && col[idx[j]] === col[idx[i]]) j++;
+    for (let k = i; k < j; k++) r[idx[k]] = (i + j + 1) / 2;
+    i = j;
+  }
+  return r;
+}
+
+// Spearman's rho mapped to a Pearson-consistent correlation via 2·sin(πρ/6) (exact for Gaussians)
+export function spearmanCorrMatrix(X) {
+  const N = X[0].length, cols = Array.from({ length: N }, (_, j) => ranks(X.map(r => r[j])));
+  const R = corrMatrix(X.map((_, t) => cols.map(c => c[t])));
+  return R.map((row, i) => row.map((rho, j) => (i === j ? 1 : 2 * Math.sin((Math.PI / 6) * rho))));
+}
+
+// Tyler's M-estimator of shape: the fixed point Σ = (N/T) Σ_t x_t x_tᵀ / (x_tᵀ Σ⁻¹ x_t),
+// which ignores how large each observation is, only its direction. Needs complete rows.
+export function tylerCorrMatrix(X, maxIter = 100, tol = 1e-7) {
+  const rows = X.filter(r => r.every(Number.isFinite)), T = rows.length, N = X[0].length;
+  const m = Array(N).fill(0);
+  for (const r of rows) for (let j = 0; j < N; j++) m[j] += r[j] / T;
+  const Z = rows.map(r => r.map((v, j) => v - m[j]));
+  let S = Array.from({ length: N }, (_, i) => Array.from({ length: N }, (_, j) => (i === j ? 1 : 0)));
+  for (let iter = 0; iter < maxIter; iter++) {
+    const L = cholesky(S);
+    const next = Array.from({ length: N }, () => Array(N).fill(0));
+    for (const z of Z) {
+      const y = Array(N);
+      for (let i = 0; i < N; i++) { let v = z[i]; for (let k = 0; k < i; k++) v -= L[i][k] * y[k]; y[i] = v / L[i][i]; }
+      const w = 1 / Math.max(1e-300, y.reduce((s, v) => s + v * v, 0));
+      for (let i = 0; i < N; i++) for (let j = 0; j <= i; j++) next[i][j] += w * z[i] * z[j];
+    }
+    let trace = 0;
+    for (let i = 0; i < N; i++) trace += next[i][i];
+    let delta = 0;
+    for (let i = 0; i < N; i++) for (let j = 0; j <= i; j++) {
+      const v = (next[i][j] * N) / trace;
+      delta = Math.max(delta, Math.abs(v - S[i][j]));
+      next[i][j] = next[j][i] = v;
+    }
+    S = next;
+    if (delta < tol) break;
+  }
+  return S.map((row, i) => row.map((v, j) => v / Math.sqrt(S[i][i] * S[j][j])));
+}
+
+export const ESTIMATORS = {
+  pearson: "Pearson",
+  kendall: "Kendall",
+  spearman: "Spearman",
+  tyler: "Tyler",
+};
+
+export function estimateCorrelation(X, estimator = "pearson") {
+  if (estimator === "pearson") return corrMatrix(X);
+  if (estimator === "kendall") return kendallCorrMatrix(X);
+  if (estimator === "spearman") return spearmanCorrMatrix(X);
+  if (estimator === "tyler") return tylerCorrMatrix(X);
+  throw new Error(`Unknown correlation estimator: ${estimator}`);
+}
+
+// Householder reduction of a symmetric matrix to tridiagonal form (EISPACK tred2).
+// On return V holds the orthogonal transform, d the diagonal and e the sub-diagonal.
+function tridiagonalize(V, d, e) {
+  const n = V.length;
+  for (let j = 0; j < n; j++) d[j] = V[n - 1][j];
+  for (let i = n - 1; i > 0; i--) {
+    let scale = 0, h = 0;
+    for (let k = 0; k < i; k++) scale += Math.abs(d[k]);
+    if (scale === 0) {
+      e[i] = d[i - 1];
+      for (let j = 0; j < i; j++) { d[j] = V[i - 1][j]; V[i][j] = 0; V[j][i] = 0; }
+    } else {
+      for (let k = 0; k < i; k++) { d[k] /= scale; h += d[k] * d[k]; }
+      let f = d[i - 1], g = Math.sqrt(h);
+      if (f > 0) g = -g;
+      e[i] = scale * g; h -= f * g; d[i - 1] = f - g;
+      for (let j = 0; j < i; j++) e[j] = 0;
+      for (let j = 0; j < i; j++) {
+        f = d[j]; V[j][i] = f; g = e[j] + V[j][j] * f;
+        for (let k = j + 1; k <= i - 1; k++) { g += V[k][j] * d[k]; e[k] += V[k][j] * f; }
+        e[j] = g;
+      }
+      f = 0;
+      for (let j = 0; j < i; j++) { e[j] /= h; f += e[j] * d[j]; }
+      const hh = f / (h + h);
+      for (let j = 0; j < i; j++) e[j] -= hh * d[j];
+      for (let j = 0; j < i; j++) {
+        f = d[j]; g = e[j];
+        for (let k = j; k <= i - 1; k++) V[k][j] -= f * e[k] + g * d[k];
+        d[j] = V[i - 1][j]; V[i][j] = 0;
+      }
+    }
+    d[i] = h;
+  }
+  for (let i = 0; i < n - 1; i++) {
+    V[n - 1][i] = V[i][i]; V[i][i] = 1;
+    const h = d[i + 1];
+    if (h !== 0) {
+      for (let k = 0; k <= i; k++) d[k] = V[k][i + 1] / h;
+      for (let j = 0; j <= i; j++) {
+        let g = 0;
+        for (let k = 0; k <= i; k++) g += V[k][i + 1] * V[k][j];
+        for (let k = 0; k <= i; k++) V[k][j] -= g * d[k];
+      }
+    }
+    for (let k = 0; k <= i; k++) V[k][i + 1] = 0;
+  }
+  for (let j = 0; j < n; j++) { d[j] = V[n - 1][j]; V[n - 1][j] = 0; }
+  V[n - 1][n - 1] = 1; e[0] = 0;
+}
+
+// Implicit QL iterations on the tridiagonal form (EISPACK tql2), accumulating into V
+function tridiagonalQL(V, d, e) {
+  const n = V.length, eps = 2 ** -52;
+  for (let i = 1; i < n; i++) e[i - 1] = e[i];
+  e[n - 1] = 0;
+  let f = 0, tst1 = 0;
+  for (let l = 0; l < n; l++) {
+    tst1 = Math.max(tst1, Math.abs(d[l]) + Math.abs(e[l]));
+    let m = l;
+    while (m < n && Math.abs(e[m]) > eps * tst1) m++;
+    let iter = 0;
+    while (m > l && Math.abs(e[l]) > eps * tst1) {
+      if (++iter > 60) throw new Error("Eigen-decomposition did not converge");
+      let g = d[l], p = (d[l + 1] - g) / (2 * e[l]), r = Math.hypot(p, 1);
+      if (p < 0) r = -r;
+      d[l] = e[l] / (p + r); d[l + 1] = e[l] * (p + r);
+      const dl1 = d[l + 1];
+      let h = g - d[l];
+      for (let i = l + 2; i < n; i++) d[i] -= h;
+      f += h;
+      p = d[m];
+      let c = 1, c2 = 1, c3 = 1, s = 0, s2 = 0;
+      const el1 = e[l + 1];
+      for (let i = m - 1; i >= l; i--) {
+        c3 = c2; c2 = c; s2 = s;
+        g = c * e[i]; h = c * p; r = Math.hypot(p, e[i]);
+        e[i + 1] = s * r; s = e[i] / r; c = p / r;
+        p = c * d[i] - s * g;
+        d[i + 1] = h + s * (c * g + s * d[i]);
+        for (let k = 0; k < n; k++) { h = V[k][i + 1]; V[k][i + 1] = s * V[k][i] + c * h; V[k][i] = c * V[k][i] - s * h; }
+      }
+      p = (-s * s2 * c3 * el1 * e[l]) / dl1;
+      e[l] = s * p; d[l] = c * p;
+    }
+    d[l] += f; e[l] = 0;
+  }
+}
+
+// Deterministic symmetric eigendecomposition (Householder + QL). Eigenpairs come back in
+// ascending order with each vector's sign fixed so its components sum to >= 0.
+// residual = max ‖Av − λv‖, orthogonality = max |VᵀV − I|, both ~1e-14 for a healthy solve.
+export function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const V = matrix.map(r => [...r]), d = Array(n).fill(0), e = Array(n).fill(0);
+  tridiagonalize(V, d, e);
+  tridiagonalQL(V, d, e);
+  const order = d.map((_, i) => i).sort((a, b) => d[a] - d[b]);
+  const values = order.map(k => d[k]);
+  const vectors = order.map(k => {
+    const v = V.map(row => row[k]);
+    return v.reduce((s, x) => s + x, 0) < 0 ? v.map(x => -x) : v;
+  });
+  let residual = 0, orthogonality = 0;
+  vectors.forEach((v, k) => {
+    let r2 = 0;
+    for (let i = 0; i < n; i++) { let Av = 0; for (let j = 0; j < n; j++) Av += matrix[i][j] * v[j]; r2 += (Av - values[k] * v[i]) ** 2; }
+    residual = Math.max(residual, Math.sqrt(r2));
+    for (let l = k; l < n; l++) orthogonality = Math.max(orthogonality, Math.abs(v.reduce((s, x, i) => s + x * vectors[l][i], 0) - (k === l ? 1 : 0)));
+  });
+  return { values, vectors, residual, orthogonality };
+}
+
+export function getEigenvectors(matrix) {
+  const { values, vectors } = symmetricEigen(matrix);
+  return values.map((eigenvalue, k) => ({ eigenvalue, vector: vectors[k] }));
+}
+
+export function getEigenvalues(matrix) { return symmetricEigen(matrix).values; }
+
+export function marchenkoPastur(x, q) {
+  const lp = (1 + Math.sqrt(q)) ** 2, lm = (1 - Math.sqrt(q)) ** 2;
+  if (x < lm || x > lp) return 0;
+  return (1 / (2 * Math.PI * q * x)) * Math.sqrt((lp - x) * (x - lm));
+}
+
+// Complex helpers for the resolvent-based estimators: z = [re, im]
+const cAdd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const cMul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const cDiv = (a, b) => { const d = b[0] * b[0] + b[1] * b[1]; return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d]; };
+const cAbs2 = (a) => a[0] * a[0] + a[1] * a[1];
+
+// Bun-Bouchaud-Potters optimal RIE, with the finite-N regularisation of the bulk (η = N^-1/2).
+// The resolvent leaves out λk's own term, which at this η swamps the rest for an outlier and
+// pulls it far below its true value. The result is made monotone, like the eigenvalues it replaces.
+function rieEigenvalues(lambdas, q) {
+  const N = lambdas.length, eta = 1 / Math.sqrt(N);
+  return isotonic(lambdas.map((l, k) => {
+    const z = [l, -eta];
+    let g = [0, 0];
+    lambdas.forEach((lj, j) => { if (j !== k) g = cAdd(g, cDiv([1, 0], [z[0] - lj, z[1]])); });
+    g = [g[0] / N, g[1] / N];
+    const zg = cMul(z, g);
+    return l / cAbs2([1 - q + q * zg[0], q * zg[1]]);
+  }));
+}
+
+// Pool-adjacent-violators: least-squares non-decreasing fit
+function isotonic(y) {
+  const blocks = [];
+  for (const v of y) {
+    blocks.push({ sum: v, n: 1 });
+    while (blocks.length > 1 && blocks[blocks.length - 2].sum / blocks[blocks.length - 2].n > blocks[blocks.length - 1].sum / blocks[blocks.length - 1].n) {
+      const b = blocks.pop(); blocks[blocks.length - 1].sum += b.sum; blocks[blocks.length - 1].n += b.n;
+    }
+  }
+  return blocks.flatMap(b => Array(b.n).fill(b.sum / b.n));
+}
+
+// K-fold cross-validated non-linear shrinkage: score train-fold eigenvectors on the held-out fold.
+// Both folds use the same correlation estimator as the matrix being cleaned, except that Tyler's
+// fixed point doesn't exist for a fold with no more rows than assets, which falls back to Pearson.
+function crossValidatedEigenvalues(X, estimator = "pearson", folds = 5) {
+  const T = X.length, N = X[0].length;
+  const foldCorr = (rows) => (estimator === "tyler" && rows.length <= N ? corrMatrix(rows) : estimateCorrelation(rows, estimator));
+  const xi = Array(N).fill(0);
+  for (let k = 0; k < folds; k++) {
+    const lo = Math.floor((k * T) / folds), hi = Math.floor(((k + 1) * T) / folds);
+    const train = X.filter((_, t) => t < lo || t >= hi), test = X.slice(lo, hi);
+    const evTrain = getEigenvectors(foldCorr(train)), Ctest = foldCorr(test);
+    evTrain.forEach((ev, i) => {
+      let s = 0;
+      for (let a = 0; a < N; a++) for (let b = 0; b < N; b++) s += ev.vector[a] * Ctest[a][b] * ev.vector[b];
+      xi[i] += s / folds;
+    });
+  }
+  return isotonic(xi);
+}
+
+export const CLEANING_METHODS = {
+  clipping: "Eigenvalue clipping",
+  rie: "Optimal RIE",
+  cv: "Cross-validated",
+};
+
+// `estimator` is the one `matrix` was estimated with; cross-validation re-estimates its folds the same way
+export function cleanMatrix(matrix, q, method = "clipping", X = null, estimator = "pearson") {
+  const N = matrix.length; const evData = getEigenvectors(matrix);
+  const lp = (1 + Math.sqrt(q)) ** 2;
+  const noiseE = evData.filter(d => d.eigenvalue <= lp), signalE = evData.filter(d => d.eigenvalue > lp);
+  const avgN = noiseE.length > 0 ? noiseE.reduce((s, d) => s + d.eigenvalue, 0) / noiseE.length : 1;
+  let xi;
+  if (method === "clipping") xi = evData.map(ev => (ev.eigenvalue > lp ? ev.eigenvalue : avgN));
+  else if (method === "rie") xi = rieEigenvalues(evData.map(ev => ev.eigenvalue), q);
+  else if (method === "cv") {
+    if (!X) throw new Error("Cross-validated cleaning needs the returns matrix X");
+    xi = crossValidatedEigenvalues(X, estimator);
+  } else throw new Error(`Unknown cleaning method: ${method}`);
+  const cleaned = Array.from({ length: N }, () => Array(N).fill(0));
+  evData.forEach((ev, k) => { const l = xi[k]; for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) cleaned[i][j] += l * ev.vector[i] * ev.vector[j]; });
+  const diag = cleaned.map((r, i) => Math.sqrt(r[i]));
+  for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) cleaned[i][j] /= diag[i] * diag[j];
+  return { cleaned, numSignal: signalE.length, numNoise: noiseE.length };
+}
+
+// Sample volatility of each asset, annualised from daily returns; missing values are skipped
+export function annualVols(X) {
+  return X[0].map((_, j) => {
+    const col = X.map(r => r[j]).filter(Number.isFinite);
+    const m = col.reduce((s, v) => s + v, 0) / col.length;
+    return Math.sqrt((col.reduce((s, v) => s + (v - m) ** 2, 0) / col.length) * TRADING_DAYS);
+  });
+}
+
+// Covariance from a correlation matrix and volatilities: D·C·D
+export function covariance(C, vols) { return C.map((r, i) => r.map((c, j) => c * vols[i] * vols[j])); }
+
+export function portVol(w, C) { let v = 0; for (let i = 0; i < w.length; i++) for (let j = 0; j < w.length; j++) v += w[i] * w[j] * C[i][j]; return Math.sqrt(Math.max(0, v)); }
@@ -0,0 +1,391 @@
+import {
+  mulberry32, generateData, drawReturns, corrMatrix, estimateCorrelation, getEigenvalues, getEigenvectors,
+  marchenkoPastur, CLEANING_METHODS, ESTIMATORS, cleanMatrix, portVol, assetVolatilities, annualVols
+} from "./rmt.js";
+import { expectedReturns, riskMatrix, DEFAULT_PORTFOLIO } from "./optimize.js";
+import { ALLOCATORS, allocate } from "./allocators.js";
+import { walkForward } from "./backtest.js";
+import { clusterOrder } from "./cluster.js";
+import { regimeShift, periodTruth } from "./regimes.js";
+import { signalSignificance, DEFAULT_SIGNIFICANCE } from "./significance.js";
+import { ledoitWolf, ewmaCorr, truncatedCorr, factorModelCorr, frobeniusDistance } from "./estimators.js";
+
+// ============================================================
+// SCENARIO PIPELINE: everything the explorer shows for one (scenario, q)
+// ============================================================
+export const Q_MIN = 0.05;
+export const Q_MAX = 0.85;
+
+// The grid the Step 2 animation walks through, at the 0.01 resolution it renders
+export const Q_SWEEP = Array.from({ length: Math.round((Q_MAX - Q_MIN) * 100) + 1 }, (_, i) => Math.round((Q_MIN + i * 0.01) * 100) / 100);
+
+// The simulated market: N assets driven by `factors` random factors, or by a market
+// factor plus `sectors` sector factors when sectors > 0. Innovations are Gaussian or
+// Student-t with `df` degrees of freedom, optionally with GARCH(1,1) volatility clustering.
+// Each asset gets its own annual volatility, drawn from the seed. A non-stationary `regime`
+// changes the loadings by `change` (0–1), at breakAt × T days into the estimation window for a
+// break (1 = just after it ends) or gradually over the window and the period after it for drift.
+export const DEFAULT_MARKET = {
+  N: 50, seed: 42, factors: 3, strength: 0.6, sectors: 0, tails: "gaussian", df: 4, garch: false,
+  regime: "stationary", change: 0.5, breakAt: 1,
+};
+export const DEFAULT_Q = 0.35;
+
+// The range each numeric market parameter can take, wherever it comes from (a link, a tour)
+export const MARKET_FIELDS = {
+  N: { min: 5, max: 200, int: true },
+  seed: { min: 0, max: 2 ** 31 - 1, int: true },
+  factors: { min: 1, max: 20, int: true },
+  sectors: { min: 0, max: 20, int: true },
+  strength: { min: 0.05, max: 2 },
+  df: { min: 2.1, max: 100 },
+  change: { min: 0.05, max: 1 },
+  breakAt: { min: 0.1, max: 1 },
+};
+
+// A fractional N, factor count or seed would size arrays and index loadings past their end
+function checkMarket(scenario) {
+  for (const [field, { int }] of Object.entries(MARKET_FIELDS)) {
+    const v = scenario[field];
+    if (int && v != null && !Number.isInteger(v)) throw new Error(`${field} must be a whole number, not ${v}`);
+  }
+}
+
+export function scenarioKey(scenario) { return JSON.stringify(scenario); }
+
+// Uploaded data can't go below its own q = N/T: shorter windows are the most recent rows
+export function sweepFor(scenario) {
+  if (!scenario.dataId) return Q_SWEEP;
+  const qData = scenario.N / scenario.T;
+  return [qData, ...Q_SWEEP.filter(q => q > qData)];
+}
+
+// A simulated market normally keeps N and reaches q through T = N/q. With hold: "T" it keeps
+// scenario.T instead and varies the number of assets, N = qT (at least 5).
+export function marketSize(scenario, q) {
+  if (scenario.hold === "T") {
+    const N = Math.max(5, Math.round(q * scenario.T));
+    return { N, T: scenario.T };
+  }
+  return { N: scenario.N, T: Math.round(scenario.N / q) };
+}
+
+// Asset volatilities come from their own stream so they don't disturb the returns drawn from the seed
+const marketVols = (scenario, N) => assetVolatilities(N, mulberry32(scenario.seed + 4));
+
+// The loadings path for a `days`-long history whose estimation window is the first T days
+function marketShift({ seed, regime = "stationary", change, breakAt }, T, days) {
+  return regimeShift(regime, { change, breakDay: Math.round(breakAt * T), days, rng: mulberry32(seed + 5) });
+}
+
+export function sampleScenario(scenario, q, dataset) {
+  if (scenario.dataId) {
+    if (!dataset || dataset.id !== scenario.dataId) throw new Error("The uploaded data is no longer available");
+    const N = dataset.N, T = Math.min(dataset.T, Math.round(N / q));
+    const X = dataset.X.slice(-T);
+    // Too short a follow-on period can't say anything about realised risk
+    const later = dataset.Xoos.length >= 20;
+    return {
+      X, N, T, q: N / T, trueC: null, trueVols: null,
+      Coos: later ? corrMatrix(dataset.Xoos) : null, oosVols: later ? annualVols(dataset.Xoos) : null,
+      trueFactors: null, loadings: null, labels: dataset.tickers,
+    };
+  }
+  checkMarket(scenario);
+  const { seed, factors, strength, sectors, tails, df, garch } = scenario;
+  const { N, T } = marketSize(scenario, q);
+  const rng = mulberry32(seed);
+  const vols = marketVols(scenario, N);
+  const shift = marketShift(scenario, T, 2 * T);
+  const { X, trueC, loadings, path } = generateData(T, N, rng, { factors: Math.min(factors, N), strength, sectors: Math.min(sectors, N), tails, df, garch, vols, shift });
+  const Xoos = drawReturns(T, loadings, mulberry32(seed + 1), { tails, df, garch, vols, path, start: T });
+  // When the market moves, forecasts are judged against the truth of the period that follows the window
+  const later = path && periodTruth(path, loadings, T, 2 * T);
+  return {
+    X, N, T, q: scenario.hold === "T" ? N / T : q,
+    trueC: later ? later.C : trueC, trueVols: later ? vols.map((v, j) => v * later.volScale[j]) : vols,
+    Coos: corrMatrix(Xoos), oosVols: annualVols(Xoos),
+    trueFactors: loadings[0].length, loadings, path, vols, labels: Array.from({ length: N }, (_, i) => `${i + 1}`),
+  };
+}
+
+// The matrices both portfolios are built on and scored against, in the portfolio's risk model. In covariance
+// mode only the correlation is cleaned; both matrices get the same sample volatilities back.
+function riskInputs(sample, { method, estimator = "pearson", portfolio = DEFAULT_PORTFOLIO }) {
+  const { X, q, trueC, trueVols, Coos, oosVols } = sample;
+  const C = estimateCorrelation(X, estimator);
+  const { cleaned } = cleanMatrix(C, q, method, X, estimator);
+  const vols = annualVols(X);
+  return {
+    C, cleaned, vols,
+    S: riskMatrix(C, vols, portfolio.risk), Sclean: riskMatrix(cleaned, vols, portfolio.risk),
+    Strue: trueC && riskMatrix(trueC, trueVols, portfolio.risk), Soos: Coos && riskMatrix(Coos, oosVols, portfolio.risk),
+    mu: expectedReturns(X, portfolio.risk),
+  };
+}
+
+// Both portfolios, built on one set of risk inputs and scored on every matrix it has.
+// Predicted = in-sample model risk; true = population matrix; realised = fresh out-of-sample draw.
+function portfolioRisk({ S, Sclean, Strue, Soos, mu }, portfolio) {
+  const rawOpt = allocate(S, portfolio, mu);
+  const wRaw = rawOpt.w;
+  const wClean = allocate(Sclean, portfolio, mu).w;
+  return {
+    wRaw, wClean, conditionRaw: rawOpt.condition, ridgeRaw: rawOpt.ridge,
+    volRaw: portVol(wRaw, S), volClean: portVol(wClean, Sclean),
+    // Uploaded data has no true matrix, and may have no out-of-sample period
+    volRawTrue: Strue ? portVol(wRaw, Strue) : null, volCleanTrue: Strue ? portVol(wClean, Strue) : null,
+    volRawOOS: Soos ? portVol(wRaw, Soos) : null, volCleanOOS: Soos ? portVol(wClean, Soos) : null,
+    hhiRaw: wRaw.reduce((s, w) => s + w * w, 0), hhiClean: wClean.reduce((s, w) => s + w * w, 0),
+  };
+}
+
+export function computeScenario(scenario, requestedQ, dataset = null) {
+  const { portfolio = DEFAULT_PORTFOLIO } = scenario;
+  const sample = sampleScenario(scenario, requestedQ, dataset);
+  const { N, T, q, trueFactors, labels } = sample;
+  const inputs = riskInputs(sample, scenario);
+  const eigenvalues = getEigenvalues(inputs.C);
+  const lp = (1 + Math.sqrt(q)) ** 2;
+
+  const maxEig = Math.max(...eigenvalues, lp) * 1.15;
+  const numBins = 25;
+  const binW = maxEig / numBins;
+  const histogram = Array.from({ length: numBins }, (_, i) => {
+    const lo = i * binW, hi = (i + 1) * binW, mid = (lo + hi) / 2;
+    const count = eigenvalues.filter(e => e >= lo && e < hi).length;
+    return { bin: mid.toFixed(2), lo, hi, density: count / (N * binW), mp: marchenkoPastur(mid, q), isSignal: mid > lp };
+  });
+
+  const signalCount = eigenvalues.filter(e => e > lp).length;
+  const noiseCount = N - signalCount;
+
+  const { wRaw, wClean, ...risk } = portfolioRisk(inputs, portfolio);
+  const weightData = wRaw.map((w, i) => ({ asset: labels[i], raw: w, cleaned: wClean[i] })).sort((a, b) => a.raw - b.raw);
+  const maxAbsRaw = Math.max(...wRaw.map(Math.abs));
+  const maxAbsClean = Math.max(...wClean.map(Math.abs));
+
+  return { histogram, lp, signalCount, noiseCount, trueFactors, q, N, T, weightData, maxAbsRaw, maxAbsClean, ...risk };
+}
+
+// What the correlation heatmaps compare against, and what to call it
+function referenceMatrix({ trueC, Coos, path }) {
+  return {
+    reference: trueC ?? Coos,
+    referenceLabel: trueC ? (path ? "True, afterwards" : "True") : Coos ? "Later period" : null,
+  };
+}
+
+// The matrices behind the spectrum, for the heatmaps. The reference is the model's true
+// correlation in simulations and the follow-on period's sample correlation for uploaded data.
+// Assets are ordered by clustering the cleaned matrix, so blocks of genuine structure line up.
+export function correlationMaps(scenario, requestedQ, dataset = null) {
+  const { method, estimator = "pearson" } = scenario;
+  const sample = sampleScenario(scenario, requestedQ, dataset);
+  const { X, N, q, labels } = sample;
+  const raw = estimateCorrelation(X, estimator);
+  const { cleaned } = cleanMatrix(raw, q, method, X, estimator);
+  return { N, labels, raw, cleaned, ...referenceMatrix(sample), order: clusterOrder(cleaned) };
+}
+
+// Orthonormal basis for the span of the true factor loadings (Gram-Schmidt on the columns)
+function factorBasis(loadings) {
+  const basis = [];
+  for (let k = 0; k < loadings[0].length; k++) {
+    const v = loadings.map(r => r[k]);
+    for (const b of basis) { const d = v.reduce((s, x, i) => s + x * b[i], 0); for (let i = 0; i < v.length; i++) v[i] -= d * b[i]; }
+    const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+    if (norm > 1e-10) basis.push(v.map(x => x / norm));
+  }
+  return basis;
+}
+
+// Every eigenvector of the sample correlation, largest eigenvalue first. IPR = Σ u_i⁴ runs from 1/N for a
+// mode spread evenly over all assets to 1 for a single asset; a random unit vector sits near 3/N.
+// overlap is the squared projection onto the true factor subspace (simulations only), and
+// factorOverlaps the squared cosine with each loading column.
+export function eigenModes(scenario, requestedQ, dataset = null) {
+  const { estimator = "pearson" } = scenario;
+  const { X, N, q, loadings, labels } = sampleScenario(scenario, requestedQ, dataset);
+  const basis = loadings ? factorBasis(loadings) : null;
+  const columns = loadings ? loadings[0].map((_, k) => {
+    const v = loadings.map(r => r[k]), norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+    return v.map(x => x / norm);
+  }) : null;
+  const dot = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+  const modes = getEigenvectors(estimateCorrelation(X, estimator)).reverse().map(({ eigenvalue, vector }, k) => ({
+    rank: k + 1, eigenvalue, vector,
+    ipr: vector.reduce((s, x) => s + x ** 4, 0),
+    overlap: basis ? basis.reduce((s, b) => s + dot(vector, b) ** 2, 0) : null,
+    factorOverlaps: columns ? columns.map(c => dot(vector, c) ** 2) : null,
+  }));
+  return { N, labels, lp: (1 + Math.sqrt(q)) ** 2, modes };
+}
+
+// Everything the export menu writes out for one (scenario, q): both matrices, the spectrum,
+// per-asset weights in asset order, and the risk figures. All of it comes from one sample.
+export function exportScenario(scenario, requestedQ, dataset = null) {
+  const { portfolio = DEFAULT_PORTFOLIO } = scenario;
+  const sample = sampleScenario(scenario, requestedQ, dataset);
+  const { N, T, q, labels } = sample;
+  const inputs = riskInputs(sample, scenario);
+  const { wRaw, wClean, volRaw, volClean, volRawTrue, volCleanTrue, volRawOOS, volCleanOOS, hhiRaw, hhiClean } = portfolioRisk(inputs, portfolio);
+  const eigenvalues = getEigenvalues(inputs.C).reverse();
+  const lp = (1 + Math.sqrt(q)) ** 2;
+  return {
+    scenario, q, N, T, labels,
+    lp, signalCount: eigenvalues.filter(e => e > lp).length, eigenvalues,
+    raw: inputs.C, cleaned: inputs.cleaned, ...referenceMatrix(sample),
+    // By position: uploaded tickers needn't be unique
+    weights: labels.map((asset, i) => ({ asset, raw: wRaw[i], cleaned: wClean[i] })),
+    risk: {
+      raw: { predicted: volRaw, true: volRawTrue, outOfSample: volRawOOS, effectivePositions: 1 / hhiRaw },
+      cleaned: { predicted: volClean, true: volCleanTrue, outOfSample: volCleanOOS, effectivePositions: 1 / hhiClean },
+    },
+  };
+}
+
+export const DEFAULT_COMPARE = { halfLife: 0.25, lookback: 0.5 };
+
+// Estimator comparison: every candidate feeds the scenario's own allocator, objective and constraints.
+// Ledoit–Wolf, EWMA and the short lookback are Pearson by construction; the sample, cleaned and factor
+// rows start from the scenario's estimator, and each row reports which one it used. halfLife and
+// lookback are fractions of the estimation window T.
+export function compareEstimators(scenario, requestedQ, dataset = null, { halfLife, lookback } = DEFAULT_COMPARE) {
+  const { method, estimator = "pearson", portfolio = DEFAULT_PORTFOLIO } = scenario;
+  const sample = sampleScenario(scenario, requestedQ, dataset);
+  const { X, T, q, trueC } = sample;
+  const { C, cleaned, vols, Soos, mu } = riskInputs(sample, scenario);
+  const lp = (1 + Math.sqrt(q)) ** 2;
+  const k = getEigenvalues(C).filter(e => e > lp).length;
+  const lw = ledoitWolf(X);
+  const h = Math.max(2, Math.round(halfLife * T)), W = Math.max(2, Math.round(lookback * T));
+  const candidates = [
+    { key: "raw", label: "Sample correlation", detail: "no correction", C, base: estimator },
+    { key: "cleaned", label: "RMT cleaning", detail: CLEANING_METHODS[method], C: cleaned, base: estimator },
+    { key: "lw", label: "Ledoit–Wolf shrinkage", detail: `${(lw.shrinkage * 100).toFixed(0)}% towards identity`, C: lw.C, base: "pearson" },
+    { key: "ewma", label: "EWMA", detail: `half-life ${h} days`, C: ewmaCorr(X, h), base: "pearson" },
+    { key: "short", label: "Short lookback", detail: `last ${W} of ${T} days`, C: truncatedCorr(X, W), base: "pearson" },
+    { key: "factor", label: "Factor model", detail: `${Math.max(1, k)} PCA factor${k > 1 ? "s" : ""}`, C: factorModelCorr(C, k), base: estimator },
+  ];
+  return candidates.map(({ key, label, detail, C: est, base }) => {
+    const S = riskMatrix(est, vols, portfolio.risk);
+    const { w } = allocate(S, portfolio, mu);
+    return {
+      key, label, detail, estimator: ESTIMATORS[base],
+      inSample: portVol(w, S),
+      outOfSample: Soos ? portVol(w, Soos) : null,
+      effective: 1 / w.reduce((s, x) => s + x * x, 0),
+      distance: trueC ? frobeniusDistance(est, trueC) : null,
+    };
+  });
+}
+
+// Every allocator on the raw and the cleaned matrix of the same sample. The optimiser keeps the
+// scenario's constraints and objective.
+export function compareAllocators(scenario, requestedQ, dataset = null) {
+  const { portfolio = DEFAULT_PORTFOLIO } = scenario;
+  const { S, Sclean, Strue, Soos, mu } = riskInputs(sampleScenario(scenario, requestedQ, dataset), scenario);
+  const score = (w, predicted) => ({
+    effective: 1 / w.reduce((s, x) => s + x * x, 0),
+    predicted: portVol(w, predicted),
+    true: Strue ? portVol(w, Strue) : null,
+    outOfSample: Soos ? portVol(w, Soos) : null,
+  });
+  return Object.entries(ALLOCATORS).map(([key, label]) => {
+    const settings = { ...portfolio, allocator: key };
+    return { key, label, raw: score(allocate(S, settings, mu).w, S), cleaned: score(allocate(Sclean, settings, mu).w, Sclean) };
+  });
+}
+
+// Which eigenvalues of the current sample are significant, with a bootstrap interval on the count
+export function* scenarioSignificance(scenario, requestedQ, dataset = null, { test, alpha } = DEFAULT_SIGNIFICANCE) {
+  const { estimator = "pearson" } = scenario;
+  const { X } = sampleScenario(scenario, requestedQ, dataset);
+  return yield* signalSignificance(X, { test, alpha, estimator, seed: (scenario.seed ?? 0) + 3 });
+}
+
+export const DEFAULT_MONTE_CARLO = { runs: 200 };
+
+// Mean with a 95% confidence interval for it, plus the 2.5%–97.5% range of single draws.
+// `values` are the draws in ascending order, missing ones left out.
+function distribution(values) {
+  const xs = values.filter(v => v != null).sort((a, b) => a - b), n = xs.length;
+  const mean = xs.reduce((s, v) => s + v, 0) / n;
+  const sd = Math.sqrt(xs.reduce((s, v) => s + (v - mean) ** 2, 0) / Math.max(1, n - 1));
+  const quantile = (p) => { const h = (n - 1) * p, i = Math.floor(h); return xs[i] + (h - i) * ((xs[i + 1] ?? xs[i]) - xs[i]); };
+  const half = 1.96 * sd / Math.sqrt(n);
+  return { mean, sd, meanLo: mean - half, meanHi: mean + half, lo: quantile(0.025), median: quantile(0.5), hi: quantile(0.975), values: xs };
+}
+
+// The whole pipeline repeated over `runs` seeds drawn from the scenario's seed, at one q
+export function* monteCarlo(scenario, requestedQ, dataset = null, { runs } = DEFAULT_MONTE_CARLO) {
+  if (scenario.dataId) throw new Error("Monte Carlo needs the simulated market: uploaded data is a single history");
+  const rng = mulberry32(scenario.seed);
+  const draws = [];
+  for (let k = 0; k < runs; k++) {
+    const r = computeScenario({ ...scenario, seed: Math.floor(rng() * 2 ** 31) }, requestedQ);
+    draws.push({
+      signalCount: r.signalCount,
+      effectiveRaw: 1 / r.hhiRaw, effectiveClean: 1 / r.hhiClean,
+      volRaw: r.volRaw, volClean: r.volClean,
+      volRawTrue: r.volRawTrue, volCleanTrue: r.volCleanTrue,
+      volRawOOS: r.volRawOOS, volCleanOOS: r.volCleanOOS,
+      hiddenRaw: r.volRawTrue - r.volRaw, hiddenClean: r.volCleanTrue - r.volClean,
+      gapRaw: (r.volRawTrue - r.volRaw) / r.volRaw, gapClean: (r.volCleanTrue - r.volClean) / r.volClean,
+    });
+    yield { type: "progress", done: k + 1, total: runs };
+  }
+  return { runs, q: requestedQ, ...Object.fromEntries(Object.keys(draws[0]).map(key => [key, distribution(draws.map(d => d[key]))])) };
+}
+
+export const DEFAULT_BACKTEST = { rebalance: 21, periods: 24 };
+
+// Walk-forward backtest with the current q's window length. Simulations draw a long
+// history from the same market; uploaded data uses the window plus everything after it.
+export function* backtestScenario(scenario, requestedQ, dataset = null, { rebalance, periods } = DEFAULT_BACKTEST) {
+  const { method, estimator = "pearson", portfolio = DEFAULT_PORTFOLIO } = scenario;
+  let history, window;
+  if (scenario.dataId) {
+    if (!dataset || dataset.id !== scenario.dataId) throw new Error("The uploaded data is no longer available");
+    history = [...dataset.X, ...dataset.Xoos];
+    window = Math.min(dataset.T, Math.round(dataset.N / requestedQ));
+  } else {
+    const { seed, factors, strength, sectors, tails, df, garch } = scenario;
+    const { N, T } = marketSize(scenario, requestedQ);
+    const days = T + periods * rebalance;
+    window = T;
+    history = generateData(days, N, mulberry32(seed + 2), {
+      factors: Math.min(factors, N), strength, sectors: Math.min(sectors, N), tails, df, garch, vols: marketVols(scenario, N), shift: marketShift(scenario, T, days),
+    }).X;
+  }
+  return yield* walkForward(history, { window, rebalance, method, estimator, portfolio });
+}
+
+// Portfolios built on the estimation window, held through the break or drift: each one's true risk
+// and each estimate's distance to the true correlation, day by day across the window and the period after it
+export function regimeTimeline(scenario, requestedQ, dataset = null, { points = 60 } = {}) {
+  if (scenario.dataId) throw new Error("Regimes need the simulated market: uploaded data has no known truth");
+  const { portfolio = DEFAULT_PORTFOLIO } = scenario;
+  const sample = sampleScenario(scenario, requestedQ, dataset);
+  const { T, loadings, path, vols } = sample;
+  if (!path) throw new Error("The simulated market is stationary: pick a regime with a break or drift");
+  const { C, cleaned, S, Sclean, mu } = riskInputs(sample, scenario);
+  const wRaw = allocate(S, portfolio, mu).w, wClean = allocate(Sclean, portfolio, mu).w;
+  const step = Math.max(1, Math.round((2 * T) / points));
+  const timeline = [];
+  for (let day = 0; day < 2 * T; day += step) {
+    const { C: trueC, volScale } = periodTruth(path, loadings, day, day + 1);
+    const Strue = riskMatrix(trueC, vols.map((v, j) => v * volScale[j]), portfolio.risk);
+    timeline.push({
+      day,
+      rawTrue: portVol(wRaw, Strue), cleanedTrue: portVol(wClean, Strue),
+      rawDistance: frobeniusDistance(C, trueC), cleanedDistance: frobeniusDistance(cleaned, trueC),
+    });
+  }
+  const { regime = "stationary", breakAt } = scenario;
+  return {
+    T, days: 2 * T, breakDay: regime === "drift" ? null : Math.round(breakAt * T),
+    predicted: { raw: portVol(wRaw, S), cleaned: portVol(wClean, Sclean) }, timeline,
+  };
+}
@@ -0,0 +1,133 @@
+import { mulberry32, estimateCorrelation, getEigenvalues } from "./rmt.js";
+
+// ============================================================
+// SIGNIFICANCE of the eigenvalues above the bulk: at finite N the largest
+// noise eigenvalue fluctuates around λ+ on a T^(-2/3) scale, so "above λ+"
+// alone over-counts. Two nulls: Tracy–Widom (analytic) and shuffled returns.
+// ============================================================
+export const SIGNAL_TESTS = {
+  edge: "MP edge",
+  "tracy-widom": "Tracy–Widom",
+  permutation: "Shuffled returns",
+};
+
+export const DEFAULT_SIGNIFICANCE = { test: "edge", alpha: 0.05 };
+
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x, tmp = x + 5.5, ser = 1.000000000190015;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  for (const cj of c) ser += cj / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Regularised upper incomplete gamma Q(a, x): series below a + 1, continued fraction above
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const lead = -x + a * Math.log(x) - logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a, term = sum;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) { term *= x / (a + n); sum += term; }
+    return 1 - sum * Math.exp(lead);
+  }
+  let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return Math.exp(lead) * h;
+}
+
+// P(TW₁ > s) from the gamma approximation TW₁ ≈ Gamma(46.446, 0.186054) − 9.84801 (Chiani 2014)
+export function tracyWidomSurvival(s) {
+  return gammaQ(46.446, (s + 9.84801) / 0.186054);
+}
+
+function tracyWidomQuantile(alpha) {
+  let lo = -10, hi = 10;
+  for (let i = 0; i < 100; i++) { const mid = (lo + hi) / 2; if (tracyWidomSurvival(mid) > alpha) lo = mid; else hi = mid; }
+  return (lo + hi) / 2;
+}
+
+// Johnstone (2001) centring and scaling of the largest eigenvalue of a p-variable white
+// Wishart matrix on n samples, with his half-sample corrections and one more sample lost
+// to demeaning, mapped to the eigenvalue scale of a correlation matrix. Slightly conservative
+// for correlations, whose unit diagonal pulls the top eigenvalue in.
+function johnstone(n, p) {
+  const a = Math.sqrt(n - 1.5), b = Math.sqrt(p - 0.5);
+  return { mu: (a + b) ** 2 / n, sigma: ((a + b) * Math.cbrt(1 / a + 1 / b)) / n };
+}
+
+function shuffleColumns(X, rng) {
+  const T = X.length, N = X[0].length, Y = X.map(r => [...r]);
+  for (let j = 0; j < N; j++) for (let t = T - 1; t > 0; t--) {
+    const s = Math.floor(rng() * (t + 1));
+    [Y[t][j], Y[s][j]] = [Y[s][j], Y[t][j]];
+  }
+  return Y;
+}
+
+// Leading eigenvalues are tested one at a time, largest first, and counting stops at the
+// first one that isn't significant
+const sequentialCount = (eigenvalues, critical) => {
+  let k = 0;
+  while (k < eigenvalues.length && k < critical.length && eigenvalues[k] > critical[k]) k++;
+  return k;
+};
+
+// Generator: p-values for the leading eigenvalues under the chosen null, the number significant at
+// `alpha`, and a bootstrap interval for that number (days resampled with replacement). The "edge"
+// test is the plain λ > λ+ cut, with no p-values but the same interval.
+export function* signalSignificance(X, { test = "tracy-widom", alpha = 0.05, estimator = "pearson", permutations = 200, bootstrap = 100, seed = 7 } = {}) {
+  const T = X.length, N = X[0].length;
+  const eigenvalues = getEigenvalues(estimateCorrelation(X, estimator)).reverse();
+  const K = Math.min(N, 20);
+  const rng = mulberry32(seed);
+  const total = (test === "permutation" ? permutations : 0) + bootstrap;
+  let done = 0;
+
+  let pValues, critical;
+  if (test === "edge") {
+    pValues = Array(K).fill(null);
+    critical = Array(K).fill((1 + Math.sqrt(N / T)) ** 2);
+  } else if (test === "tracy-widom") {
+    // The k-th eigenvalue is tested as the largest of the N − k + 1 directions left once the first k − 1 are removed
+    const sAlpha = tracyWidomQuantile(alpha);
+    const nulls = Array.from({ length: K }, (_, k) => johnstone(T, N - k));
+    pValues = eigenvalues.slice(0, K).map((e, k) => tracyWidomSurvival((e - nulls[k].mu) / nulls[k].sigma));
+    critical = nulls.map(({ mu, sigma }) => mu + sigma * sAlpha);
+  } else {
+    const nullMax = [];
+    for (let b = 0; b < permutations; b++) {
+      const values = getEigenvalues(estimateCorrelation(shuffleColumns(X, rng), estimator));
+      nullMax.push(values[values.length - 1]);
+      yield { type: "progress", done: ++done, total };
+    }
+    nullMax.sort((a, b) => a - b);
+    pValues = eigenvalues.slice(0, K).map(e => (1 + nullMax.filter(m => m >= e).length) / (permutations + 1));
+    const c = nullMax[Math.min(permutations - 1, Math.ceil((1 - alpha) * permutations) - 1)];
+    critical = Array(K).fill(c);
+  }
+  const signalCount = sequentialCount(eigenvalues, critical);
+
+  const counts = [];
+  for (let b = 0; b < bootstrap; b++) {
+    const sample = Array.from({ length: T }, () => X[Math.floor(rng() * T)]);
+    counts.push(sequentialCount(getEigenvalues(estimateCorrelation(sample, estimator)).reverse(), critical));
+    yield { type: "progress", done: ++done, total };
+  }
+  counts.sort((a, b) => a - b);
+
+  return {
+    test, alpha, signalCount,
+    interval: [counts[Math.floor(0.05 * (bootstrap - 1))], counts[Math.ceil(0.95 * (bootstrap - 1))]],
+    leading: eigenvalues.slice(0, K).map((eigenvalue, k) => ({ eigenvalue, pValue: pValues[k], critical: critical[k], significant: k < signalCount })),
+    critical: critical[0],
+  };
+}
@@ -0,0 +1,66 @@
+// ============================================================
+// EXPORT: files the browser hands to the user (charts, tables, matrices)
+// ============================================================
+export function download(filename, content, type = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// A standalone copy of a rendered chart: explicit size, white background, and the page font
+// inlined, since stylesheets don't travel with the file
+export function serializeSvg(svg) {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  clone.setAttribute("style", `font-family: ${getComputedStyle(svg).fontFamily}; background: #fff`);
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", "#fff");
+  clone.insertBefore(bg, clone.firstChild);
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+export function downloadSvg(svg, name) {
+  download(`${name}.svg`, serializeSvg(svg).markup, "image/svg+xml");
+}
+
+// Rasterise through an <img>, at `scale`× for slides
+export function downloadPng(svg, name, scale = 2) {
+  const { markup, width, height } = serializeSvg(svg);
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0);
+    canvas.toBlob(blob => download(`${name}.png`, blob));
+  };
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+}
+
+const csvField = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(rows) {
+  return rows.map(r => r.map(csvField).join(",")).join("\n") + "\n";
+}
+
+// Square matrix with asset labels along the top and down the side
+export function matrixCsv(M, labels) {
+  return toCsv([["", ...labels], ...M.map((r, i) => [labels[i], ...r])]);
+}
@@ -0,0 +1,9 @@
+// ============================================================
+// FORMAT: numbers as the explorer writes them
+// ============================================================
+
+// A fraction as a percentage; a missing value as a dash
+export const pct = (v, digits = 1) => (v == null ? "—" : `${(v * 100).toFixed(digits)}%`);
+
+// The eigenvalue histogram bin a value falls in: reference lines on its category axis have to name a bin
+export const binAt = (histogram, x) => (histogram.find(b => x >= b.lo && x < b.hi) ?? histogram[histogram.length - 1]).bin;
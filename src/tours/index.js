@@ -0,0 +1,79 @@
+import { CLEANING_METHODS, ESTIMATORS } from "../engine/rmt.js";
+import { CONSTRAINTS, OBJECTIVES, RISK_MODELS } from "../engine/optimize.js";
+import { ALLOCATORS } from "../engine/allocators.js";
+import { MARKET_FIELDS, Q_MIN, Q_MAX } from "../engine/scenario.js";
+import { REGIMES } from "../engine/regimes.js";
+import technical from "./technical.json";
+import client from "./client.json";
+
+// ============================================================
+// TOURS: the narrative as content. A tour is a JSON file of steps, each with the label the
+// step indicator and footer show, a title, intro prose, the widgets to show in order and the
+// settings it pins. The schema is documented in README.md in this directory.
+// ============================================================
+export const TOURS = { technical, client };
+export const DEFAULT_TOUR = "technical";
+
+// A widget is named by a string, or by an object whose other fields are its props
+export const widgetSpec = (w) => (typeof w === "string" ? { widget: w } : w);
+
+const BOOLEAN = {};
+const PINNABLE = {
+  method: CLEANING_METHODS,
+  estimator: ESTIMATORS,
+  portfolio: { allocator: ALLOCATORS, constraint: CONSTRAINTS, objective: OBJECTIVES, risk: RISK_MODELS, cap: { min: 0.01, max: 1 } },
+  market: { ...MARKET_FIELDS, tails: { gaussian: 1, student: 1 }, regime: REGIMES, garch: BOOLEAN },
+  q: { min: Q_MIN, max: Q_MAX },
+};
+
+// A pinned value is one of a set of options, a number in a range (a whole one if `int`), or a boolean
+const allowed = (spec, v) => (spec === BOOLEAN ? typeof v === "boolean" : Object.hasOwn(spec, "min")
+  ? typeof v === "number" && v >= spec.min && v <= spec.max && (!spec.int || Number.isInteger(v))
+  : Object.hasOwn(spec, String(v)));
+
+// Throws on the first problem, naming the tour and step, so a typo fails at load rather than on screen
+export function validateTour(id, tour, widgets) {
+  const fail = (where, msg) => { throw new Error(`Tour "${id}"${where}: ${msg}`); };
+  if (typeof tour.label !== "string") fail("", "needs a label");
+  if (!Array.isArray(tour.steps) || !tour.steps.length) fail("", "needs at least one step");
+  tour.steps.forEach((step, i) => {
+    const where = ` step ${i + 1}`;
+    for (const key of ["label", "title"]) if (typeof step[key] !== "string") fail(where, `needs a ${key}`);
+    if (!Array.isArray(step.widgets)) fail(where, "needs a widgets list");
+    for (const w of step.widgets) {
+      const { widget } = widgetSpec(w);
+      if (!Object.hasOwn(widgets, widget)) fail(where, `unknown widget "${widget}"`);
+    }
+    for (const [key, value] of Object.entries(step.pin ?? {})) {
+      if (!Object.hasOwn(PINNABLE, key)) fail(where, `can't pin "${key}"`);
+      if (key !== "portfolio" && key !== "market") {
+        if (!allowed(PINNABLE[key], value)) fail(where, `bad ${key} ${JSON.stringify(value)}`);
+        continue;
+      }
+      for (const [field, v] of Object.entries(value)) {
+        if (!Object.hasOwn(PINNABLE[key], field)) fail(where, `can't pin ${key}.${field}`);
+        if (!allowed(PINNABLE[key][field], v)) fail(where, `bad ${key}.${field} ${JSON.stringify(v)}`);
+      }
+    }
+  });
+  return tour;
+}
+
+// The settings a step runs on: the user's, with the step's pins on top. Market and q pins aren't
+// here: the explorer sets those when the step is entered (see enteredScenario), and the reader can move on from them.
+export function pinnedSettings(settings, pin = {}) {
+  return {
+    method: pin.method ?? settings.method,
+    estimator: pin.estimator ?? settings.estimator,
+    portfolio: { ...settings.portfolio, ...pin.portfolio },
+  };
+}
+
+// The market and q a step starts from, when it pins them; null when it doesn't
+export function enteredScenario(market, q, pin = {}) {
+  if (!pin.market && pin.q == null) return null;
+  const next = { ...market, ...pin.market };
+  next.factors = Math.min(next.factors, next.N);
+  next.sectors = Math.min(next.sectors, next.N);
+  return { market: next, q: pin.q ?? q };
+}
@@ -0,0 +1,81 @@
+import { DEFAULT_MARKET, MARKET_FIELDS, DEFAULT_Q, Q_MIN, Q_MAX } from "./engine/scenario.js";
+import { REGIMES } from "./engine/regimes.js";
+import { CLEANING_METHODS, ESTIMATORS } from "./engine/rmt.js";
+import { CONSTRAINTS, OBJECTIVES, RISK_MODELS, DEFAULT_PORTFOLIO } from "./engine/optimize.js";
+import { ALLOCATORS } from "./engine/allocators.js";
+import { TOURS, DEFAULT_TOUR } from "./tours/index.js";
+
+// ============================================================
+// URL STATE: the current view as query parameters, e.g. ?tour=client&step=4&q=0.7&seed=7
+// Only values that differ from the defaults are written. Uploaded data can't travel
+// in a link, so a link always opens on the simulated market.
+// ============================================================
+export const DEFAULT_VIEW = {
+  tour: DEFAULT_TOUR, step: 0, q: DEFAULT_Q, market: DEFAULT_MARKET, hold: "N", method: "rie", estimator: "pearson", portfolio: DEFAULT_PORTFOLIO,
+};
+
+function number(params, key, { min, max, int = false }) {
+  const raw = params.get(key);
+  if (raw == null || raw === "") return undefined;
+  const v = Number(raw);
+  if (!Number.isFinite(v)) return undefined;
+  const clamped = Math.min(max, Math.max(min, v));
+  return int ? Math.round(clamped) : clamped;
+}
+
+function choice(params, key, options) {
+  const v = params.get(key);
+  return v != null && Object.hasOwn(options, v) ? v : undefined;
+}
+
+// Missing or malformed parameters fall back to the defaults; the step is clamped to the tour's length
+export function decodeView(search) {
+  const params = new URLSearchParams(search);
+  const market = { ...DEFAULT_MARKET };
+  for (const [key, range] of Object.entries(MARKET_FIELDS)) market[key] = number(params, key, range) ?? market[key];
+  market.factors = Math.min(market.factors, market.N);
+  market.sectors = Math.min(market.sectors, market.N);
+  market.tails = choice(params, "tails", { gaussian: 1, student: 1 }) ?? market.tails;
+  market.regime = choice(params, "regime", REGIMES) ?? market.regime;
+  market.garch = params.get("garch") === "1";
+  const tour = choice(params, "tour", TOURS) ?? DEFAULT_VIEW.tour;
+  const step = number(params, "step", { min: 1, max: TOURS[tour].steps.length, int: true });
+  return {
+    tour,
+    step: step == null ? DEFAULT_VIEW.step : step - 1,
+    q: number(params, "q", { min: Q_MIN, max: Q_MAX }) ?? DEFAULT_VIEW.q,
+    market,
+    hold: choice(params, "hold", { N: 1, T: 1 }) ?? DEFAULT_VIEW.hold,
+    method: choice(params, "method", CLEANING_METHODS) ?? DEFAULT_VIEW.method,
+    estimator: choice(params, "estimator", ESTIMATORS) ?? DEFAULT_VIEW.estimator,
+    portfolio: {
+      ...DEFAULT_PORTFOLIO,
+      allocator: choice(params, "allocator", ALLOCATORS) ?? DEFAULT_PORTFOLIO.allocator,
+      constraint: choice(params, "constraint", CONSTRAINTS) ?? DEFAULT_PORTFOLIO.constraint,
+      cap: number(params, "cap", { min: 0.01, max: 1 }) ?? DEFAULT_PORTFOLIO.cap,
+      objective: choice(params, "objective", OBJECTIVES) ?? DEFAULT_PORTFOLIO.objective,
+      risk: choice(params, "risk", RISK_MODELS) ?? DEFAULT_PORTFOLIO.risk,
+    },
+  };
+}
+
+// Steps are 1-based in the URL, matching the step indicator
+export function encodeView({ tour, step, q, market, hold, method, estimator, portfolio }) {
+  const params = new URLSearchParams();
+  const put = (key, value, fallback) => { if (value !== fallback) params.set(key, String(value)); };
+  put("tour", tour, DEFAULT_VIEW.tour);
+  put("step", step + 1, DEFAULT_VIEW.step + 1);
+  put("q", Math.round(q * 100) / 100, DEFAULT_VIEW.q);
+  for (const key of [...Object.keys(MARKET_FIELDS), "tails", "regime"]) put(key, market[key], DEFAULT_MARKET[key]);
+  if (market.garch) params.set("garch", "1");
+  put("hold", hold, DEFAULT_VIEW.hold);
+  put("method", method, DEFAULT_VIEW.method);
+  put("estimator", estimator, DEFAULT_VIEW.estimator);
+  put("allocator", portfolio.allocator, DEFAULT_PORTFOLIO.allocator);
+  put("constraint", portfolio.constraint, DEFAULT_PORTFOLIO.constraint);
+  put("cap", portfolio.cap, DEFAULT_PORTFOLIO.cap);
+  put("objective", portfolio.objective, DEFAULT_PORTFOLIO.objective);
+  put("risk", portfolio.risk, DEFAULT_PORTFOLIO.risk);
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { sweepFor, scenarioKey } from "./engine/scenario.js";
+
+// Swept scenarios kept in memory, least recently viewed dropped first
+const CACHED_SCENARIOS = 8;
+
+// Runs the scenario pipeline in the engine worker. On every scenario change the
+// whole q sweep is precomputed in the background; the current q is always
+// requested first. Until it arrives, the last computed result stays on screen.
+// An uploaded dataset is handed to the worker once and referenced by scenario.dataId.
+export function useEngine(scenario, q, dataset = null) {
+  const key = scenarioKey(scenario);
+  const workerRef = useRef(null);
+  const cacheRef = useRef(new Map());
+  const jobsRef = useRef(new Map());
+  const nextId = useRef(0);
+  const computeRef = useRef(null);
+  const lastRef = useRef(null);
+  const currentRef = useRef({ key, q });
+  const [, setVersion] = useState(0);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  currentRef.current = { key, q };
+
+  // The q → result map for a scenario, marked as most recently used
+  const remember = (k) => {
+    const cache = cacheRef.current;
+    const results = cache.get(k) ?? new Map();
+    cache.delete(k);
+    cache.set(k, results);
+    for (const old of cache.keys()) {
+      if (cache.size <= CACHED_SCENARIOS) break;
+      cache.delete(old);
+    }
+    return results;
+  };
+
+  const datasetRef = useRef(dataset);
+  datasetRef.current = dataset;
+
+  // Created on first use, so children can queue tasks before the effects below have run
+  const getWorker = () => {
+    if (workerRef.current) return workerRef.current;
+    const worker = new Worker(new URL("./engine.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data: msg }) => {
+      const job = jobsRef.current.get(msg.id);
+      if (!job) return;
+      if (job.task) {
+        if (msg.type === "progress") job.onProgress?.(msg.done / msg.total);
+        else if (msg.type === "done") { jobsRef.current.delete(msg.id); job.resolve(msg.result); }
+        else if (msg.type === "error") { jobsRef.current.delete(msg.id); job.reject(new Error(msg.message)); }
+        return;
+      }
+      if (msg.type === "result") {
+        (cacheRef.current.get(job.key) ?? remember(job.key)).set(msg.q, msg.data);
+        const cur = currentRef.current;
+        if (job.key === cur.key && msg.q === cur.q) setVersion(v => v + 1);
+      } else if (msg.type === "progress") {
+        if (job.key === currentRef.current.key) setProgress({ done: msg.done, total: msg.total });
+      } else if (msg.type === "done") {
+        jobsRef.current.delete(msg.id);
+        if (computeRef.current?.id === msg.id) computeRef.current = null;
+      } else if (msg.type === "error") {
+        jobsRef.current.delete(msg.id);
+        setError(msg.message);
+      }
+    };
+    if (datasetRef.current) worker.postMessage({ type: "dataset", dataset: datasetRef.current });
+    workerRef.current = worker;
+    return worker;
+  };
+
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null; jobsRef.current.clear(); computeRef.current = null;
+  }, []);
+
+  const send = (type, payload) => {
+    const id = ++nextId.current;
+    jobsRef.current.set(id, { key: payload.key });
+    getWorker().postMessage({ type, id, scenario: payload.scenario, ...payload.args });
+    return id;
+  };
+  const cancel = (id) => { jobsRef.current.delete(id); workerRef.current?.postMessage({ type: "cancel", id }); };
+
+  // Results computed on a previous upload are no use once it has been replaced
+  useEffect(() => {
+    cacheRef.current.clear();
+    if (dataset) getWorker().postMessage({ type: "dataset", dataset });
+  }, [dataset]);
+
+  // Precompute the sweep for this scenario
+  useEffect(() => {
+    const sweep = sweepFor(scenario);
+    const cached = remember(key);
+    const qs = sweep.filter(x => !cached.has(x));
+    if (qs.length === 0) { setProgress({ done: sweep.length, total: sweep.length }); return; }
+    setProgress({ done: sweep.length - qs.length, total: sweep.length });
+    setError(null);
+    const id = send("sweep", { key, scenario, args: { qs } });
+    return () => cancel(id);
+  }, [key]);
+
+  // Ask for the current q ahead of the sweep, replacing any stale request
+  useEffect(() => {
+    const pending = computeRef.current;
+    if (pending && pending.key === key && pending.q === q) return;
+    if (pending) { cancel(pending.id); computeRef.current = null; }
+    if (cacheRef.current.get(key)?.has(q)) return;
+    computeRef.current = { id: send("compute", { key, scenario, args: { q } }), key, q };
+  }, [key, q]);
+
+  // One-off analyses (estimator comparison, …) on the same worker. Returns a promise and a canceller.
+  const runTask = useCallback((task, taskScenario, taskQ, params, onProgress) => {
+    const id = ++nextId.current;
+    const promise = new Promise((resolve, reject) => jobsRef.current.set(id, { task, resolve, reject, onProgress }));
+    getWorker().postMessage({ type: "task", id, task, scenario: taskScenario, q: taskQ, params });
+    return { promise, cancel: () => { jobsRef.current.delete(id); workerRef.current?.postMessage({ type: "cancel", id }); } };
+  }, []);
+
+  const current = cacheRef.current.get(key)?.get(q);
+  if (current) lastRef.current = current;
+  const sweepProgress = progress ? progress.done / progress.total : 0;
+  return { data: lastRef.current, isStale: !current, sweepProgress, error, runTask };
+}
+
+// Runs a task whenever its inputs change while `enabled`, cancelling the previous run
+export function useTask(runTask, task, scenario, q, params, enabled = true) {
+  const [state, setState] = useState({ result: null, progress: 0, running: false, error: null });
+  const argsKey = JSON.stringify([task, scenario, q, params]);
+  useEffect(() => {
+    if (!enabled) return;
+    let live = true;
+    setState(st => ({ ...st, progress: 0, running: true, error: null }));
+    const { promise, cancel } = runTask(task, scenario, q, params, progress => { if (live) setState(st => ({ ...st, progress })); });
+    promise.then(
+      result => { if (live) setState({ result, progress: 1, running: false, error: null }); },
+      err => { if (live) setState(st => ({ ...st, running: false, error: err.message })); },
+    );
+    return () => { live = false; cancel(); };
+  }, [argsKey, enabled, runTask]);
+  return state;
+}
@@ -0,0 +1,15 @@
+import { useEffect, useState } from "react";
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+// The user's reduced-motion setting, following changes made while the page is open
+export function useReducedMotion() {
+  const [reduced, setReduced] = useState(() => window.matchMedia(QUERY).matches);
+  useEffect(() => {
+    const media = window.matchMedia(QUERY);
+    const onChange = () => setReduced(media.matches);
+    media.addEventListener("change", onChange);
+    return () => media.removeEventListener("change", onChange);
+  }, []);
+  return reduced;
+}
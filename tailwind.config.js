@@ -5,7 +5,15 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      // WCAG AA: the greys used for small text reach 4.5:1 on white and slate-100, and "red" and "green"
+      // are the colour-blind-safe Okabe–Ito vermillion and bluish green, darkened to text contrast
+      colors: {
+        slate: { 400: "#5E6B7E", 500: "#4F5D70" },
+        red: { 50: "#FDF1E9", 200: "#F2C4A6", 500: "#B84A00", 600: "#A94A00", 700: "#9A3F00" },
+        green: { 50: "#E8F5F0", 200: "#A6D9C7", 600: "#007A5A", 700: "#006B4F" },
+      },
+    },
   },
   plugins: [],
 }